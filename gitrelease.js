@@ -22,6 +22,20 @@ const log = msg => data => (console.log(msg, data), data);
 // Pure error handling
 const throwError = msg => () => { throw new Error(msg); };
 
+// Deep merge plain objects (arrays and scalars from the override win)
+const deepMerge = (base, override) =>
+  Object.keys(override || {}).reduce((acc, key) => {
+    const value = override[key];
+    const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+    return {
+      ...acc,
+      [key]: isObject(value) && isObject(acc[key]) ? deepMerge(acc[key], value) : value
+    };
+  }, { ...base });
+
+// Single-quote a value for sh
+const shellQuote = value => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
 // Safe JSON parsing
 const safeParse = defaultVal => str => {
   try {
@@ -31,6 +45,63 @@ const safeParse = defaultVal => str => {
   }
 };
 
+// Output of the CLI. With --json a command prints one result object on stdout and
+// progress goes to stderr; --verbose adds debug lines on stderr
+const cli = {
+  json: false,
+  verbose: false,
+  
+  // Exit codes by failure class, described in cliSpec.exitCodes
+  exitCodes: {
+    success: 0,
+    failure: 1,
+    usage: 2,
+    verification: 3,
+    state: 4
+  },
+  
+  // Human-readable lines, left out with --json
+  say: (...lines) => {
+    if (!cli.json) lines.forEach(line => console.log(line));
+  },
+  
+  // Progress of a running command, kept off stdout with --json
+  progress: line => (cli.json ? console.error : console.log)(line),
+  
+  // Debug line, only with --verbose
+  debug: message => {
+    if (cli.verbose) console.error(`DEBUG: ${message}`);
+  },
+  
+  // Result object of a command, printed with --json
+  result: result => {
+    if (cli.json) console.log(JSON.stringify(result, null, 2));
+  },
+  
+  // Finish a command successfully
+  done: (result = {}) => cli.result({ success: true, ...result }),
+  
+  // Finish a command with an error, setting the exit code of its class
+  fail: (exitCode, error, result = {}, details = []) => {
+    process.exitCode = exitCode;
+    cli.result({ success: false, error, exitCode, ...result });
+    cli.say(`❌ ${error}`, ...details.map(detail => `  - ${detail}`));
+  },
+  
+  // Usage line of a command called with missing arguments, plus any hints
+  usage: (usage, ...hints) => {
+    process.exitCode = cli.exitCodes.usage;
+    cli.result({ success: false, error: `Usage: ${usage}`, exitCode: cli.exitCodes.usage });
+    cli.say(`Usage: ${usage}`, ...hints);
+  }
+};
+
+// Dry-run mode (--dry-run): mutating commands and file changes are printed instead of performed
+const dryRun = {
+  enabled: false,
+  log: action => cli.progress(`[dry-run] ${action}`)
+};
+
 // Pure file system operations
 const fs = {
   readFile: path => {
@@ -40,7 +111,18 @@ const fs = {
       return null;
     }
   },
+  readStdin: () => {
+    try {
+      return require('fs').readFileSync(0, 'utf8');
+    } catch (e) {
+      return '';
+    }
+  },
   writeFile: (path, content) => {
+    if (dryRun.enabled) {
+      dryRun.log(`write ${path} (${Buffer.byteLength(content)} bytes)`);
+      return true;
+    }
     try {
       require('fs').writeFileSync(path, content);
       return true;
@@ -54,18 +136,114 @@ const fs = {
     } catch (e) {
       return false;
     }
+  },
+  listDirs: path => {
+    try {
+      return require('fs').readdirSync(path, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name);
+    } catch (e) {
+      return [];
+    }
+  },
+  makeDir: path => {
+    if (dryRun.enabled) {
+      if (!fs.fileExists(path)) dryRun.log(`mkdir -p ${path}`);
+      return true;
+    }
+    try {
+      require('fs').mkdirSync(path, { recursive: true });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+  moveFile: (from, to) => {
+    if (dryRun.enabled) {
+      dryRun.log(`mv ${from} ${to}`);
+      return true;
+    }
+    try {
+      require('fs').renameSync(from, to);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+  removeFile: path => {
+    if (dryRun.enabled) {
+      dryRun.log(`rm ${path}`);
+      return true;
+    }
+    try {
+      require('fs').unlinkSync(path);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+  makeExecutable: path => {
+    if (dryRun.enabled) {
+      dryRun.log(`chmod 755 ${path}`);
+      return true;
+    }
+    try {
+      require('fs').chmodSync(path, 0o755);
+      return true;
+    } catch (e) {
+      return false;
+    }
   }
 };
 
-// Pure shell command execution
-const execCommand = cmd => {
-  try {
-    return require('child_process').execSync(cmd, { encoding: 'utf8' }).trim();
-  } catch (e) {
-    return null;
+// Run git with an argument list, without a shell. Messages are passed on stdin
+// (`input`) so quotes, backticks and `$()` in them reach git untouched.
+// Returns { success, output, error, code } with git's stderr as the error.
+// `network` commands never prompt for credentials and give up after networkTimeout seconds.
+const networkTimeout = 60;
+const runGit = (args, { input, network = false } = {}) => {
+  const result = require('child_process').spawnSync('git', args, {
+    encoding: 'utf8',
+    input,
+    maxBuffer: 64 * 1024 * 1024,
+    ...(network ? { env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }, timeout: networkTimeout * 1000 } : {})
+  });
+  if (result.error) {
+    const error = result.error.code === 'ETIMEDOUT' ? `timed out after ${networkTimeout}s` : result.error.message;
+    return { success: false, output: '', error: `git ${args[0]}: ${error}`, code: null };
+  }
+  const stderr = (result.stderr || '').trim();
+  return {
+    success: result.status === 0,
+    output: (result.stdout || '').trim(),
+    error: result.status === 0 ? '' : stderr || `git ${args[0]} exited with code ${result.status}`,
+    code: result.status
+  };
+};
+
+// Output of a git query, or null when it fails (missing ref, note or config key)
+const readGit = (...args) => {
+  const result = runGit(args);
+  return result.success ? result.output : null;
+};
+
+// git command line as it would be typed, for dry-run output
+const formatGit = args =>
+  ['git', ...args].map(arg => /^[\w@%+=:,./^~-]+$/.test(arg) ? arg : shellQuote(arg)).join(' ');
+
+// git command that changes the repository or remote; only printed in dry-run mode
+const mutateGit = (args, options = {}) => {
+  if (dryRun.enabled) {
+    dryRun.log(options.input === undefined ? formatGit(args) : `${formatGit(args)} <<'EOF'`);
+    if (options.input !== undefined) cli.progress(`${options.input.replace(/\n$/, '')}\nEOF`);
+    return { success: true, output: '', error: '', code: 0 };
   }
+  return runGit(args, options);
 };
 
+// Error message for a failed git result, with some context in front
+const gitError = (context, result) => `${context}: ${result.error}`;
+
 // ========== Config Management ==========
 
 // Default configuration
@@ -77,33 +255,112 @@ const defaultConfig = {
     releaseBranch: 'release',
     hotfixPrefix: 'hotfix/',
     featurePrefix: 'feature/',
-    releasePrefix: 'release/'
+    releasePrefix: 'release/',
+    releaseLines: []
   },
   versioning: {
     pattern: 'semver', // semver, calver, custom
+    calverFormat: 'YYYY.MM.MICRO',
     customPattern: '',
-    initialVersion: '0.1.0'
+    initialVersion: '0.1.0',
+    prereleaseChannels: ['alpha', 'beta', 'rc']
   },
   workflow: {
     stages: ['development', 'testing', 'staging', 'production'],
-    requiredApprovals: 2,
+    requiredApprovals: 2, // distinct approvers other than the release author, when verification.requiredReviews is on
+    approvalsRef: 'approvals', // approvals are git notes in refs/notes/<approvalsRef>
+    stagesRef: 'stages', // stage promotions are git notes in refs/notes/<stagesRef>
+    // Checks a release must pass to enter a stage: tagged, approvals, ciChecks
+    stageRequirements: {
+      production: { tagged: true, approvals: 2 }
+    },
     enforceLinearHistory: true,
     requireCleanWorkDir: true
   },
   verification: {
     requiredTests: true,
+    // Commands run by verify, prepare and finalize: a command line, or
+    // { run, cwd, env, timeout (seconds), expectedExitCode }; null disables one
+    commands: {
+      test: 'npm test'
+    },
     requiredReviews: true,
     requiredCIChecks: ['lint', 'build', 'test'],
+    ci: {
+      provider: 'file', // file, http, git-notes
+      file: '.gitrelease-ci.json', // file: status written by the pipeline
+      url: '', // http: status endpoint, `{commit}` is replaced by the commit hash
+      headers: {}, // http: request headers, `${VAR}` reads environment variables
+      timeout: 10, // http: request timeout in seconds
+      notesRef: 'ci', // git-notes: statuses in refs/notes/<notesRef>, one `check=state [url]` per line
+      wait: 0, // seconds to poll while checks are pending or missing
+      pollInterval: 15
+    },
     enforceConventionalCommits: true
   },
+  commits: {
+    // Allowed types and the bump each one triggers: major, minor, patch or none
+    types: {
+      feat: 'minor',
+      fix: 'patch',
+      perf: 'patch',
+      refactor: 'patch',
+      revert: 'patch',
+      build: 'patch',
+      chore: 'patch',
+      ci: 'patch',
+      docs: 'patch',
+      style: 'patch',
+      test: 'patch'
+    },
+    scopes: [], // allowed scopes; empty allows any scope matching scopePattern
+    scopePattern: '^[A-Za-z0-9-]+$',
+    preMajor: false, // while the major version is 0, breaking changes bump minor
+    // Lint rule severities (error, warning, off), or { severity, ...options }
+    rules: {
+      'header-format': 'error',
+      'subject-max-length': 'warning',
+      'subject-full-stop': 'warning',
+      'subject-imperative': 'warning',
+      'scope-required': 'off',
+      'no-wip': 'error',
+      'body-max-line-length': 'warning'
+    }
+  },
+  monorepo: {
+    enabled: false,
+    packages: [], // globs; defaults to package.json workspaces
+    tagFormat: '{name}@{version}',
+    bumpDependents: true
+  },
   release: {
     generateChangelog: true,
     tagPrefix: 'v',
+    changelogPath: 'CHANGELOG.md',
+    notes: {
+      template: '', // path to a notes template; empty uses the built-in one
+      groupBy: 'type', // type, scope
+      sections: [
+        { title: 'Features', types: ['feat'] },
+        { title: 'Bug Fixes', types: ['fix'] },
+        { title: 'Other Changes', types: ['*'], showType: true },
+        { title: 'Other', types: ['other'] }
+      ],
+      hiddenTypes: [],
+      highlightTypes: [],
+      unscopedTitle: 'General',
+      breakingTitle: 'Breaking Changes'
+    },
+    versionFiles: [
+      { file: 'package.json', optional: true },
+      { file: 'package-lock.json', optional: true }
+    ],
     createGitHubRelease: true,
     artifacts: {
       generateSBOM: true,
       saveAssets: true,
-      assetPath: './dist'
+      assetPath: './dist',
+      notesFormats: ['markdown'] // markdown, html, text, json
     }
   }
 };
@@ -118,7 +375,7 @@ const configOps = {
       () => fs.readFile(configOps.configPath),
       either(
         x => x !== null, 
-        pipe(safeParse({}), config => ({ ...defaultConfig, ...config })),
+        pipe(safeParse({}), config => deepMerge(defaultConfig, config)),
         () => defaultConfig
       )
     )(),
@@ -149,7 +406,7 @@ const configOps = {
   
   // Initialize a new config
   init: customValues => {
-    const config = { ...defaultConfig, ...customValues };
+    const config = deepMerge(defaultConfig, customValues);
     return configOps.save(config) ? config : null;
   }
 };
@@ -157,51 +414,142 @@ const configOps = {
 // ========== Git Operations ==========
 
 const gitOps = {
-  // Get current branch
-  getCurrentBranch: () => execCommand('git rev-parse --abbrev-ref HEAD'),
+  // Remote to fetch from and push to (--remote)
+  remote: 'origin',
   
-  // Get latest tag
-  getLatestTag: () => execCommand('git describe --tags --abbrev=0') || null,
+  // Get current branch
+  getCurrentBranch: () => readGit('rev-parse', '--abbrev-ref', 'HEAD'),
   
   // Get all tags
   getAllTags: () => {
-    const output = execCommand('git tag');
+    const output = readGit('tag');
     return output ? output.split('\n').filter(Boolean) : [];
   },
   
-  // Get commits since tag
-  getCommitsSinceTag: tag => {
-    const output = execCommand(`git log ${tag}..HEAD --pretty=format:"%h|%s|%an|%ad"`);
-    return output ? output.split('\n').map(line => {
-      const [hash, subject, author, date] = line.split('|');
-      return { hash, subject, author, date };
-    }) : [];
+  // Get commits since tag (all history without a tag), optionally only those touching paths
+  getCommitsSinceTag: (tag, paths = []) => gitOps.getCommitsBetween(tag, 'HEAD', paths),
+  
+  // Get commits reachable from `to` but not from `from` (all history up to `to` without `from`)
+  getCommitsBetween: (from, to, paths = []) =>
+    gitOps.getCommits([from ? `${from}..${to}` : to], paths),
+  
+  // Get the commits selected by git log revision arguments, e.g. ['a..b'] or ['b', '--not', '--remotes']
+  getCommits: (revisions, paths = []) => {
+    const pathspec = paths.length > 0 ? ['--', ...paths] : [];
+    const output = readGit('log', ...revisions, '--pretty=format:%H%x1f%h%x1f%an%x1f%ae%x1f%ad%x1f%B%x1e', ...pathspec);
+    if (!output) return [];
+    
+    // Records end with \x1e and fields are split by \x1f, so any message text is safe
+    return output.split('\x1e')
+      .map(record => record.replace(/^\n/, ''))
+      .filter(Boolean)
+      .map(record => {
+        const [fullHash, hash, author, email, date, raw] = record.split('\x1f');
+        const message = raw.replace(/\s+$/, '');
+        const [subject, ...body] = message.split('\n');
+        return { hash, subject, author, email, date, fullHash, message, body: body.join('\n').trim() };
+      });
+  },
+  
+  // Note on a commit in refs/notes/<ref>, or null
+  getNote: (ref, commit) => readGit('notes', `--ref=${ref}`, 'show', commit),
+  
+  // Append a line to the note on a commit
+  appendNote: (ref, commit, text) =>
+    mutateGit(['notes', `--ref=${ref}`, 'append', '-F', '-', commit], { input: `${text}\n` }),
+  
+  // Fetch a branch into its remote-tracking ref; fails when the remote doesn't have it
+  fetchBranch: (branch, remote = gitOps.remote) =>
+    mutateGit(['fetch', '-q', remote, `+refs/heads/${branch}:refs/remotes/${remote}/${branch}`], { network: true }),
+  
+  // Fetch a notes ref from a remote and merge it line by line into the local one.
+  // Both update refs, so a dry run prints them and reads the local notes
+  fetchNotes: (ref, remote = gitOps.remote) => {
+    const fetched = `refs/notes/${remote}/${ref}`;
+    const fetch = mutateGit(['fetch', '-q', remote, `+refs/notes/${ref}:${fetched}`], { network: true });
+    if (!fetch.success) return fetch;
+    return mutateGit(['notes', `--ref=${ref}`, 'merge', '-q', '-s', 'cat_sort_uniq', fetched]);
+  },
+  
+  // Push a notes ref to a remote, if there is one locally
+  pushNotes: (ref, remote = gitOps.remote) =>
+    readGit('rev-parse', '--verify', '-q', `refs/notes/${ref}`) === null
+      ? { success: false, output: '', error: `No local refs/notes/${ref}`, code: null }
+      : mutateGit(['push', '-q', remote, `refs/notes/${ref}`]),
+  
+  // Check if a commit is an ancestor of another
+  isAncestor: (ancestor, descendant) =>
+    runGit(['merge-base', '--is-ancestor', ancestor, descendant]).success,
+  
+  // Count the commits in a range
+  countCommits: range => parseInt(readGit('rev-list', '--count', range) || '0', 10),
+  
+  // Remote-tracking ref of a branch, or null when the remote has no such branch
+  remoteBranch: (branch, remote = gitOps.remote) => {
+    const ref = `refs/remotes/${remote}/${branch}`;
+    return readGit('rev-parse', '--verify', '-q', ref) ? ref : null;
+  },
+  
+  // Read a git config value
+  getConfig: key => readGit('config', '--get', key),
+  
+  // Set a git config value in the repository
+  setConfig: (key, value) => mutateGit(['config', key, value]),
+  
+  // Get the date of a tag (tagger date for annotated tags) as YYYY-MM-DD
+  getTagDate: tag =>
+    readGit('for-each-ref', '--format=%(creatordate:short)', `refs/tags/${tag}`) ||
+    new Date().toISOString().slice(0, 10),
+  
+  // Get the message of an annotated tag (null for lightweight tags)
+  getTagMessage: tag =>
+    readGit('cat-file', '-t', `refs/tags/${tag}`) === 'tag'
+      ? readGit('for-each-ref', '--format=%(contents)', `refs/tags/${tag}`)
+      : null,
+  
+  // Check if a tag exists
+  tagExists: name => readGit('rev-parse', '-q', '--verify', `refs/tags/${name}`) !== null,
+  
+  // Delete a local tag
+  deleteTag: name => mutateGit(['tag', '-d', name]),
+  
+  // Commit a ref points at, or null
+  resolve: ref => readGit('rev-parse', '-q', '--verify', `${ref}^{commit}`),
+  
+  // Object a ref points at on a remote, or null when the remote doesn't have it
+  remoteSha: (remote, ref) =>
+    (readGit('ls-remote', remote, ref) || '').split(/\s+/)[0] || null,
+  
+  // Path of a file inside the git directory
+  gitPath: name => readGit('rev-parse', '--git-path', name),
+  
+  // Stage files and commit them; the message goes in verbatim apart from surrounding whitespace
+  commit: (message, files) => {
+    const add = mutateGit(['add', '--', ...files]);
+    if (!add.success) return add;
+    return mutateGit(['commit', '-q', '--cleanup=whitespace', '-F', '-'], { input: `${message}\n` });
   },
   
   // Check if working directory is clean
-  isWorkingDirClean: () => execCommand('git status --porcelain') === '',
+  isWorkingDirClean: () => readGit('status', '--porcelain') === '',
   
   // Create a new branch
-  createBranch: name => execCommand(`git checkout -b ${name}`) !== null,
+  createBranch: name => mutateGit(['checkout', '-q', '-b', name]),
   
   // Checkout existing branch
-  checkoutBranch: name => execCommand(`git checkout ${name}`) !== null,
-  
-  // Create a new tag
-  createTag: (name, message) => 
-    execCommand(`git tag -a ${name} -m "${message}"`) !== null,
+  checkoutBranch: name => mutateGit(['checkout', '-q', name]),
   
-  // Push to remote
-  push: (remote, branch) => 
-    execCommand(`git push ${remote} ${branch}`) !== null,
+  // Create an annotated tag; `#` lines of the message (markdown headings) are kept
+  createTag: (name, message) =>
+    mutateGit(['tag', '-a', '--cleanup=whitespace', '-F', '-', name], { input: `${message}\n` }),
   
-  // Push tags to remote
-  pushTags: remote => 
-    execCommand(`git push ${remote} --tags`) !== null,
+  // Push a branch and tags to a remote together: all of them or none
+  pushRelease: (remote, branch, tags) =>
+    mutateGit(['push', '-q', '--atomic', remote, `refs/heads/${branch}`, ...tags.map(tag => `refs/tags/${tag}`)]),
   
   // Get repo info
   getRepoInfo: () => {
-    const url = execCommand('git config --get remote.origin.url');
+    const url = readGit('config', '--get', `remote.${gitOps.remote}.url`);
     const name = url ? url.split('/').pop().replace('.git', '') : '';
     return { url, name };
   }
@@ -271,297 +619,2547 @@ const semver = {
     const parsed = semver.parse(v);
     if (!parsed) return null;
     return semver.stringify({ ...parsed, buildmeta: build });
-  }
-};
-
-// Conventional commits parsing
-const conventionalCommits = {
-  // Parse commit by conventional commits spec
-  parse: message => {
-    const regex = /^(build|chore|ci|docs|feat|fix|perf|refactor|revert|style|test)(\([a-z0-9-]+\))?!?: (.+)$/i;
-    const match = message.match(regex);
-    if (!match) return null;
+  },
+  
+  // Compare prerelease identifiers: numeric ones numerically and below
+  // alphanumeric ones, a shorter list first when all else is equal
+  comparePrerelease: (a, b) => {
+    if (a === b) return 0;
+    if (!a) return 1;
+    if (!b) return -1;
     
-    const [, type, scope, subject] = match;
-    const isBreaking = message.includes('BREAKING CHANGE:') || message.includes('!:');
+    const left = a.split('.');
+    const right = b.split('.');
+    const isNumeric = id => /^\d+$/.test(id);
     
-    return {
-      type,
-      scope: scope ? scope.replace(/[()]/g, '') : '',
-      subject,
-      isBreaking
-    };
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      if (left[i] === undefined) return -1;
+      if (right[i] === undefined) return 1;
+      if (left[i] === right[i]) continue;
+      
+      if (isNumeric(left[i]) && isNumeric(right[i])) {
+        return parseInt(left[i], 10) - parseInt(right[i], 10);
+      }
+      if (isNumeric(left[i])) return -1;
+      if (isNumeric(right[i])) return 1;
+      return left[i] < right[i] ? -1 : 1;
+    }
+    return 0;
   },
   
-  // Analyze commits and determine version bump type
-  analyzeBumpType: commits => {
-    const conventionalCommits = commits
-      .map(commit => ({
-        ...commit, 
-        parsed: conventionalCommits.parse(commit.subject)
-      }))
-      .filter(commit => commit.parsed);
-    
-    const hasBreaking = conventionalCommits.some(c => c.parsed.isBreaking);
-    const hasFeature = conventionalCommits.some(c => c.parsed.type === 'feat');
+  // Compare by semver precedence (build metadata is ignored)
+  compare: (a, b) => {
+    const left = semver.parse(a);
+    const right = semver.parse(b);
+    if (!left || !right) return 0;
     
-    if (hasBreaking) return 'major';
-    if (hasFeature) return 'minor';
-    return 'patch';
+    const diff = [left.major - right.major, left.minor - right.minor, left.patch - right.patch]
+      .find(d => d !== 0);
+    return diff || semver.comparePrerelease(left.prerelease, right.prerelease);
   }
 };
 
-// ========== Release Management ==========
-
-const releaseOps = {
-  // Prepare a new release
-  prepare: version => {
-    const config = configOps.load();
-    const tagPrefix = config.release.tagPrefix || 'v';
-    
-    // Ensure working directory is clean
-    if (config.workflow.requireCleanWorkDir && !gitOps.isWorkingDirClean()) {
-      return { success: false, error: 'Working directory is not clean' };
-    }
-    
-    // Create or checkout release branch
-    const releaseBranch = `${config.repository.releasePrefix}${version}`;
-    const branchSuccess = gitOps.createBranch(releaseBranch);
-    
-    if (!branchSuccess) {
-      return { success: false, error: `Failed to create branch ${releaseBranch}` };
-    }
-    
-    return { 
-      success: true, 
-      branch: releaseBranch,
-      tagName: `${tagPrefix}${version}`,
-      version
-    };
-  },
+// Conventional commits parsing
+const conventionalCommits = {
+  // Footer line: `Token: value` or `Token #value`, keeping the `#` in the value
+  // (BREAKING CHANGE is the one token that may contain a space)
+  footerRegex: /^(BREAKING CHANGE|BREAKING-CHANGE|[A-Za-z][\w-]*)(?:: | (?=#))(.*)$/,
   
-  // Finalize release
-  finalize: ({ version, tagName }) => {
-    const config = configOps.load();
-    
-    // Generate release notes
-    const releaseNotes = releaseOps.generateReleaseNotes(version);
-    
-    // Create tag
-    const tagSuccess = gitOps.createTag(tagName, releaseNotes);
-    
-    if (!tagSuccess) {
-      return { success: false, error: `Failed to create tag ${tagName}` };
-    }
-    
-    // Push to remote if configured
-    const pushSuccess = gitOps.push('origin', gitOps.getCurrentBranch());
-    const pushTagsSuccess = gitOps.pushTags('origin');
-    
-    if (!pushSuccess || !pushTagsSuccess) {
-      return { 
-        success: false, 
-        error: `Failed to push to remote`,
-        tag: tagName,
-        notes: releaseNotes
-      };
-    }
-    
-    // Generate artifacts if configured
-    if (config.release.artifacts.saveAssets) {
-      releaseOps.generateArtifacts(version);
-    }
-    
-    return { 
-      success: true, 
-      version,
-      tag: tagName,
-      notes: releaseNotes
-    };
+  // Split the lines after the header into body and footers; footers start at
+  // the first footer line that follows a blank line and run to the end
+  splitBody: lines => {
+    const start = lines.findIndex((line, i) =>
+      conventionalCommits.footerRegex.test(line) && (i === 0 || lines[i - 1].trim() === ''));
+    const bodyLines = start < 0 ? lines : lines.slice(0, start);
+    const footers = (start < 0 ? [] : lines.slice(start)).reduce((acc, line) => {
+      const match = line.match(conventionalCommits.footerRegex);
+      if (match) return acc.concat({ token: match[1], value: match[2] });
+      if (acc.length === 0) return acc;
+      const last = acc[acc.length - 1];
+      return acc.slice(0, -1).concat({ ...last, value: `${last.value}\n${line}`.replace(/\s+$/, '') });
+    }, []);
+    return { body: bodyLines.join('\n').trim(), footers };
   },
   
-  // Generate release notes
-  generateReleaseNotes: version => {
-    const config = configOps.load();
-    const latestTag = gitOps.getLatestTag();
-    const commits = latestTag ? gitOps.getCommitsSinceTag(latestTag) : [];
-    
-    // Group commits by type if using conventional commits
-    let notes = `# Release ${version}\n\n`;
-    
-    if (config.verification.enforceConventionalCommits) {
-      const grouped = commits.reduce((acc, commit) => {
-        const parsed = conventionalCommits.parse(commit.subject);
-        if (!parsed) {
-          if (!acc.other) acc.other = [];
-          acc.other.push(commit);
-          return acc;
-        }
-        
-        const type = parsed.type;
-        if (!acc[type]) acc[type] = [];
-        acc[type].push({ ...commit, parsed });
-        return acc;
-      }, {});
-      
-      // Format notes by type
-      if (grouped.feat) {
-        notes += '## Features\n\n';
-        grouped.feat.forEach(commit => {
-          notes += `- ${commit.subject} (${commit.hash})\n`;
-        });
-        notes += '\n';
-      }
-      
-      if (grouped.fix) {
-        notes += '## Bug Fixes\n\n';
-        grouped.fix.forEach(commit => {
-          notes += `- ${commit.subject} (${commit.hash})\n`;
-        });
-        notes += '\n';
-      }
-      
-      // Add other types
-      const otherTypes = Object.keys(grouped).filter(t => !['feat', 'fix', 'other'].includes(t));
-      if (otherTypes.length > 0) {
-        notes += '## Other Changes\n\n';
-        otherTypes.forEach(type => {
-          grouped[type].forEach(commit => {
-            notes += `- **${type}:** ${commit.subject} (${commit.hash})\n`;
-          });
-        });
-        notes += '\n';
-      }
-      
-      // Add non-conventional commits
-      if (grouped.other && grouped.other.length > 0) {
-        notes += '## Other\n\n';
-        grouped.other.forEach(commit => {
-          notes += `- ${commit.subject} (${commit.hash})\n`;
-        });
-      }
-    } else {
-      // Simple chronological list for non-conventional commits
-      notes += '## Changes\n\n';
-      commits.forEach(commit => {
-        notes += `- ${commit.subject} (${commit.hash})\n`;
-      });
-    }
-    
-    return notes;
+  // Issue references of footers with the given tokens
+  references: (footers, tokens) =>
+    footers
+      .filter(f => tokens.includes(f.token.toLowerCase()))
+      .flatMap(f => f.value.split(/[,\s]+/))
+      .filter(Boolean),
+  
+  // Bump levels, lowest first
+  bumpLevels: ['none', 'patch', 'minor', 'major'],
+  
+  // Allowed commit types; a type set to null in the config is removed
+  types: config =>
+    Object.keys(config.commits.types).filter(type => config.commits.types[type]),
+  
+  // Whether a scope is allowed: commits.scopes when set, otherwise commits.scopePattern
+  scopeAllowed: (config, scope) => {
+    const { scopes = [], scopePattern = '' } = config.commits;
+    if (scopes.length > 0) return scopes.includes(scope);
+    return scope !== '' && (!scopePattern || new RegExp(scopePattern).test(scope));
   },
   
-  // Generate release artifacts
-  generateArtifacts: version => {
-    const config = configOps.load();
-    const artifactPath = config.release.artifacts.assetPath || './dist';
+  // Header shape: type, optional scope, optional `!`, subject
+  headerRegex: /^([A-Za-z]+)(?:\(([^()]*)\))?(!?): (.+)$/,
+  
+  // Why a message doesn't follow the convention, or null when it does
+  explain: (message, config) => {
+    const [header] = (message || '').replace(/\r\n/g, '\n').split('\n');
+    if (!header.trim()) return 'The commit message is empty';
     
-    // Ensure artifact directory exists
-    if (!fs.fileExists(artifactPath)) {
-      execCommand(`mkdir -p ${artifactPath}`);
+    const match = header.match(conventionalCommits.headerRegex);
+    if (!match) {
+      return 'The header must look like `<type>(<scope>): <subject>` or `<type>!: <subject>`, e.g. `feat(api): add search endpoint`';
     }
     
-    // Generate Software Bill of Materials if configured
-    if (config.release.artifacts.generateSBOM) {
-      const sbom = releaseOps.generateSBOM();
-      fs.writeFile(`${artifactPath}/sbom-${version}.json`, JSON.stringify(sbom, null, 2));
+    const [, type, scope] = match;
+    const types = conventionalCommits.types(config);
+    if (!types.includes(type.toLowerCase())) {
+      return `Unknown type '${type}'. Allowed types: ${types.join(', ')}`;
     }
-    
-    // Save release notes
-    const notes = releaseOps.generateReleaseNotes(version);
-    fs.writeFile(`${artifactPath}/release-notes-${version}.md`, notes);
-    
-    // Create release snapshot
-    const snapshot = releaseOps.createSnapshot(version);
-    fs.writeFile(`${artifactPath}/release-snapshot-${version}.json`, JSON.stringify(snapshot, null, 2));
-    
-    return true;
+    if (scope !== undefined && !conventionalCommits.scopeAllowed(config, scope)) {
+      const { scopes = [], scopePattern = '' } = config.commits;
+      return scopes.length > 0
+        ? `Scope '${scope}' is not allowed. Allowed scopes: ${scopes.join(', ')}`
+        : `Scope '${scope}' must match ${scopePattern || 'a non-empty name'}`;
+    }
+    return null;
   },
   
-  // Generate Software Bill of Materials (SBOM)
-  generateSBOM: () => {
-    // Check for package.json to extract dependencies
-    const packageJson = fs.readFile('./package.json');
-    const dependencies = packageJson ? 
-      JSON.parse(packageJson).dependencies || {} : {};
+  // Parse commit by conventional commits spec (header, body and footers)
+  parse: (message, config) => {
+    const [header, ...rest] = (message || '').replace(/\r\n/g, '\n').split('\n');
+    const match = header.match(conventionalCommits.headerRegex);
+    if (!match) return null;
     
-    // Get git info
-    const gitInfo = {
-      commit: execCommand('git rev-parse HEAD'),
-      branch: gitOps.getCurrentBranch(),
-      remote: execCommand('git config --get remote.origin.url')
-    };
+    const [, type, scope, bang, subject] = match;
+    if (!conventionalCommits.types(config).includes(type.toLowerCase())) return null;
+    if (scope !== undefined && !conventionalCommits.scopeAllowed(config, scope)) return null;
+    const { body, footers } = conventionalCommits.splitBody(rest);
+    const breakingFooter = footers.find(f => ['BREAKING CHANGE', 'BREAKING-CHANGE'].includes(f.token));
+    const isBreaking = Boolean(bang) || Boolean(breakingFooter);
     
     return {
-      timestamp: new Date().toISOString(),
-      git: gitInfo,
-      dependencies: Object.entries(dependencies).map(([name, version]) => ({
-        name,
-        version: version.replace(/[^0-9.]/g, '')
-      }))
+      type,
+      scope: scope || '',
+      subject,
+      body,
+      footers,
+      isBreaking,
+      breakingDescription: breakingFooter ? breakingFooter.value : (bang ? subject : ''),
+      refs: conventionalCommits.references(footers, ['refs', 'references', 'see-also']),
+      closes: conventionalCommits.references(footers, ['closes', 'fixes', 'resolves']),
+      coAuthors: footers
+        .filter(f => f.token.toLowerCase() === 'co-authored-by')
+        .map(f => {
+          const author = f.value.match(/^(.*?)\s*<([^>]+)>$/);
+          return author ? { name: author[1], email: author[2] } : { name: f.value.trim(), email: '' };
+        })
     };
   },
   
-  // Create a full release snapshot for immutable record
-  createSnapshot: version => {
-    const config = configOps.load();
-    const latestTag = gitOps.getLatestTag();
-    const commits = latestTag ? gitOps.getCommitsSinceTag(latestTag) : [];
+  // Parse a commit object, using its full message when it has one
+  parseCommit: (commit, config) => conventionalCommits.parse(commit.message || commit.subject, config),
+  
+  // Bump level of a parsed commit; breaking changes always bump major
+  bumpFor: (config, parsed) =>
+    parsed.isBreaking ? 'major' : config.commits.types[parsed.type.toLowerCase()],
+  
+  // Analyze commits and determine version bump type; `none` means no release is
+  // needed, and commits that don't follow the convention count as patches
+  analyzeBumpType: (commits, config) => {
+    const levels = commits.map(commit => {
+      const parsed = conventionalCommits.parseCommit(commit, config);
+      return parsed ? conventionalCommits.bumpFor(config, parsed) : 'patch';
+    });
     
+    return levels.reduce((max, level) =>
+      conventionalCommits.bumpLevels.indexOf(level) > conventionalCommits.bumpLevels.indexOf(max) ? level : max,
+    'none');
+  },
+  
+  // Before 1.0.0, breaking changes bump minor when commits.preMajor is set
+  preMajorBump: (config, version, bumpType) => {
+    const parsed = semver.parse(version);
+    return config.commits.preMajor && bumpType === 'major' && parsed && parsed.major === 0
+      ? 'minor'
+      : bumpType;
+  }
+};
+
+// ========== Calendar Versioning ==========
+
+const calver = {
+  defaultFormat: 'YYYY.MM.MICRO',
+
+  // Format tokens (see https://calver.org); offsets map short years onto 2000+
+  tokens: {
+    MAJOR: { field: 'major', pattern: '\\d+' },
+    MINOR: { field: 'minor', pattern: '\\d+' },
+    MICRO: { field: 'micro', pattern: '\\d+' },
+    YYYY: { field: 'year', pattern: '\\d{4}' },
+    YY: { field: 'year', pattern: '\\d{1,3}', offset: 2000 },
+    '0Y': { field: 'year', pattern: '\\d{2,3}', offset: 2000, pad: 2 },
+    MM: { field: 'month', pattern: '\\d{1,2}' },
+    '0M': { field: 'month', pattern: '\\d{2}', pad: 2 },
+    WW: { field: 'week', pattern: '\\d{1,2}' },
+    '0W': { field: 'week', pattern: '\\d{2}', pad: 2 },
+    DD: { field: 'day', pattern: '\\d{1,2}' },
+    '0D': { field: 'day', pattern: '\\d{2}', pad: 2 }
+  },
+
+  // Calendar fields, most significant first
+  periodFields: ['year', 'month', 'week', 'day'],
+
+  // Split a format into tokens and literal separators
+  tokenize: format =>
+    (format || calver.defaultFormat)
+      .split(/(MAJOR|MINOR|MICRO|YYYY|YY|0Y|MM|0M|WW|0W|DD|0D)/)
+      .filter(Boolean),
+
+  // Tokens of a format that carry a value, in order
+  fieldTokens: format => calver.tokenize(format).filter(part => calver.tokens[part]),
+
+  // Formats without MICRO get a trailing `.N` counter for same-period releases
+  hasMicro: format => calver.tokenize(format).includes('MICRO'),
+
+  // ISO 8601 week number and week-numbering year
+  isoWeek: date => {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const day = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - day);
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
     return {
-      version,
-      timestamp: new Date().toISOString(),
-      git: {
-        commit: execCommand('git rev-parse HEAD'),
-        branch: gitOps.getCurrentBranch(),
-        tag: `${config.release.tagPrefix || 'v'}${version}`,
-        previousTag: latestTag
-      },
-      config: config,
-      commits: commits,
-      sbom: releaseOps.generateSBOM()
+      year: d.getUTCFullYear(),
+      week: Math.ceil(((d - yearStart) / 86400000 + 1) / 7)
     };
   },
-  
+
+  // Calendar fields for a date (week-based formats use the ISO week-year)
+  period: (date, format) => {
+    const usesWeek = calver.fieldTokens(format).some(t => calver.tokens[t].field === 'week');
+    const iso = calver.isoWeek(date);
+    return {
+      year: usesWeek ? iso.year : date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      week: iso.week,
+      day: date.getUTCDate()
+    };
+  },
+
+  // Parse a calendar version against a format
+  parse: (version, format) => {
+    const parts = calver.tokenize(format);
+    const tokens = calver.fieldTokens(format);
+    if (!tokens.some(t => calver.periodFields.includes(calver.tokens[t].field))) return null;
+
+    const source = parts
+      .map(part => calver.tokens[part]
+        ? `(${calver.tokens[part].pattern})`
+        : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('');
+    const suffix = calver.hasMicro(format) ? '' : '(?:\\.(\\d+))?';
+    const match = (version || '').match(new RegExp(`^${source}${suffix}$`));
+    if (!match) return null;
+
+    const fields = tokens.reduce((acc, token, i) => ({
+      ...acc,
+      [calver.tokens[token].field]: parseInt(match[i + 1], 10) + (calver.tokens[token].offset || 0)
+    }), { major: 0, minor: 0, micro: 0, modifier: parseInt(match[tokens.length + 1] || '0', 10) });
+
+    const inRange = (value, min, max) => value === undefined || (value >= min && value <= max);
+    if (!inRange(fields.month, 1, 12) || !inRange(fields.week, 1, 53) || !inRange(fields.day, 1, 31)) {
+      return null;
+    }
+
+    return fields;
+  },
+
+  // Stringify calendar version fields with a format
+  stringify: (fields, format) => {
+    const version = calver.tokenize(format)
+      .map(part => {
+        const token = calver.tokens[part];
+        if (!token) return part;
+        const value = String(fields[token.field] - (token.offset || 0));
+        return token.pad ? value.padStart(token.pad, '0') : value;
+      })
+      .join('');
+    return !calver.hasMicro(format) && fields.modifier ? `${version}.${fields.modifier}` : version;
+  },
+
+  // Compare the calendar fields of two parsed versions present in the format
+  comparePeriod: (a, b, format) => {
+    const fields = calver.fieldTokens(format).map(t => calver.tokens[t].field);
+    const diff = calver.periodFields
+      .filter(field => fields.includes(field))
+      .map(field => a[field] - b[field])
+      .find(d => d !== 0);
+    return diff || 0;
+  },
+
+  // Apply a bump type to the MAJOR/MINOR tokens when the format has them
+  bump: (fields, bumpType, format) => {
+    const tokens = calver.fieldTokens(format);
+    if (bumpType === 'major' && tokens.includes('MAJOR')) {
+      return { ...fields, major: fields.major + 1, minor: 0, micro: 0, modifier: 0 };
+    }
+    if (['major', 'minor'].includes(bumpType) && tokens.includes('MINOR')) {
+      return { ...fields, minor: fields.minor + 1, micro: 0, modifier: 0 };
+    }
+    return fields;
+  },
+
+  // Increment the same-period counter (MICRO, or the `.N` suffix)
+  incrementCounter: (fields, format) => calver.hasMicro(format)
+    ? { ...fields, micro: fields.micro + 1 }
+    : { ...fields, modifier: fields.modifier + 1 },
+
+  // Next version for a release on `date`: a new period resets the counter,
+  // a release within the same period increments it
+  next: (current, format, { date = new Date(), bumpType = 'patch' } = {}) => {
+    const today = calver.period(date, format);
+    if (!current) {
+      return calver.stringify({ major: 0, minor: 0, micro: 0, modifier: 0, ...today }, format);
+    }
+
+    const parsed = calver.parse(current, format);
+    if (!parsed) return null;
+
+    const bumped = calver.bump(parsed, bumpType, format);
+    if (calver.comparePeriod(today, parsed, format) <= 0) {
+      return calver.stringify(bumped !== parsed ? bumped : calver.incrementCounter(parsed, format), format);
+    }
+
+    return calver.stringify({ ...bumped, ...today, micro: 0, modifier: 0 }, format);
+  },
+
+  // Compare two calendar versions field by field in format order
+  compare: (a, b, format) => {
+    const left = calver.parse(a, format);
+    const right = calver.parse(b, format);
+    if (!left || !right) return 0;
+    
+    const fields = calver.fieldTokens(format).map(t => calver.tokens[t].field).concat('modifier');
+    return fields.map(field => left[field] - right[field]).find(d => d !== 0) || 0;
+  },
+
+  // Hotfix of a released version keeps its period and bumps the counter
+  hotfix: (version, format) => {
+    const parsed = calver.parse(version, format);
+    return parsed ? calver.stringify(calver.incrementCounter(parsed, format), format) : null;
+  }
+};
+
+// ========== Custom Version Patterns ==========
+
+const customVersion = {
+  // Placeholders usable in versioning.customPattern
+  placeholders: {
+    major: { kind: 'level', pattern: '\\d+' },
+    minor: { kind: 'level', pattern: '\\d+' },
+    patch: { kind: 'level', pattern: '\\d+' },
+    build: { kind: 'counter', pattern: '\\d+' },
+    seq: { kind: 'counter', pattern: '\\d+' },
+    year: { kind: 'date', pattern: '\\d{4}' },
+    yy: { kind: 'date', pattern: '\\d{2}' },
+    month: { kind: 'date', pattern: '\\d{1,2}' },
+    week: { kind: 'date', pattern: '\\d{1,2}' },
+    day: { kind: 'date', pattern: '\\d{1,2}' },
+    branch: { kind: 'text', pattern: '[0-9A-Za-z-]+' }
+  },
+
+  levels: ['major', 'minor', 'patch'],
+
+  // Split a template into literals (even indexes) and placeholder names (odd indexes)
+  tokenize: template => (template || '').split(/\{(\w+)\}/),
+
+  // Placeholder names of a template, in order
+  names: template => customVersion.tokenize(template).filter((_, i) => i % 2 === 1),
+
+  // A template needs at least one placeholder and only known ones
+  isValid: template => {
+    const names = customVersion.names(template);
+    return names.length > 0 && names.every(name => customVersion.placeholders[name]);
+  },
+
+  // Date placeholders for a date
+  dateFields: date => ({
+    year: date.getUTCFullYear(),
+    yy: date.getUTCFullYear() % 100,
+    month: date.getUTCMonth() + 1,
+    week: calver.isoWeek(date).week,
+    day: date.getUTCDate()
+  }),
+
+  // Branch names reduced to characters that are safe in a version
+  slug: branch => (branch || '').replace(/[^0-9A-Za-z-]+/g, '-').replace(/^-+|-+$/g, ''),
+
+  // Parse a version against a template
+  parse: (version, template) => {
+    if (!customVersion.isValid(template)) return null;
+
+    const source = customVersion.tokenize(template)
+      .map((part, i) => i % 2 === 1
+        ? `(${customVersion.placeholders[part].pattern})`
+        : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('');
+    const match = (version || '').match(new RegExp(`^${source}$`));
+    if (!match) return null;
+
+    return customVersion.names(template).reduce((acc, name, i) => ({
+      ...acc,
+      [name]: customVersion.placeholders[name].kind === 'text' ? match[i + 1] : parseInt(match[i + 1], 10)
+    }), {});
+  },
+
+  // Stringify placeholder values with a template (`yy` is always two digits)
+  stringify: (fields, template) =>
+    customVersion.tokenize(template)
+      .map((part, i) => {
+        if (i % 2 === 0) return part;
+        return part === 'yy' ? String(fields[part]).padStart(2, '0') : String(fields[part]);
+      })
+      .join(''),
+
+  // Compare numeric placeholders in template order, then text placeholders
+  compare: (a, b, template) => {
+    const left = customVersion.parse(a, template);
+    const right = customVersion.parse(b, template);
+    if (!left || !right) return 0;
+
+    const names = customVersion.names(template);
+    const isText = name => customVersion.placeholders[name].kind === 'text';
+    const numeric = names.filter(name => !isText(name)).map(name => left[name] - right[name]);
+    const text = names.filter(isText).map(name => left[name].localeCompare(right[name]));
+    return numeric.concat(text).find(d => d !== 0) || 0;
+  },
+
+  // Bump the highest level at or below the bump type that the template has
+  bumpLevel: (fields, bumpType, names) => {
+    const present = customVersion.levels.filter(level => names.includes(level));
+    const target = present.find(level =>
+      customVersion.levels.indexOf(level) >= customVersion.levels.indexOf(bumpType));
+    if (!target) return { fields, bumped: false };
+
+    const reset = customVersion.levels
+      .slice(customVersion.levels.indexOf(target) + 1)
+      .reduce((acc, level) => ({ ...acc, [level]: 0 }), {});
+    return { fields: { ...fields, ...reset, [target]: fields[target] + 1 }, bumped: true };
+  },
+
+  // Next version: levels follow the bump type, dates and branch are refreshed,
+  // {build} always increments and {seq} restarts at 1 when a level or date changes
+  next: (current, template, { bumpType = 'patch', date = new Date(), branch = '', initial = '' } = {}) => {
+    if (!customVersion.isValid(template)) return null;
+
+    const names = customVersion.names(template);
+    const today = customVersion.dateFields(date);
+    const context = names.reduce((acc, name) => {
+      const { kind } = customVersion.placeholders[name];
+      if (kind === 'date') return { ...acc, [name]: today[name] };
+      if (kind === 'text') return { ...acc, [name]: customVersion.slug(branch) || 'unknown' };
+      return acc;
+    }, {});
+
+    if (!current) {
+      const start = semver.parse(initial) || { major: 0, minor: 1, patch: 0 };
+      const levels = customVersion.levels.reduce((acc, level) => ({ ...acc, [level]: start[level] }), {});
+      return customVersion.stringify({ ...levels, build: 1, seq: 1, ...context }, template);
+    }
+
+    const parsed = customVersion.parse(current, template);
+    if (!parsed) return null;
+
+    const { fields, bumped } = customVersion.bumpLevel(parsed, bumpType, names);
+    const dateChanged = names.some(name =>
+      customVersion.placeholders[name].kind === 'date' && parsed[name] !== context[name]);
+    const hasCounter = names.includes('build') || names.includes('seq');
+
+    // Templates without counters still need to move: bump the lowest level
+    if (!hasCounter && !bumped && !dateChanged) {
+      const lowest = customVersion.levels.filter(level => names.includes(level)).pop();
+      if (!lowest) return null;
+      return customVersion.stringify({ ...parsed, ...context, [lowest]: parsed[lowest] + 1 }, template);
+    }
+
+    return customVersion.stringify({
+      ...fields,
+      ...context,
+      build: (parsed.build || 0) + 1,
+      seq: bumped || dateChanged ? 1 : (parsed.seq || 0) + 1
+    }, template);
+  },
+
+  // Hotfix keeps dates and branch of the base version and bumps {patch},
+  // falling back to the {seq} or {build} counter
+  hotfix: (version, template) => {
+    const parsed = customVersion.parse(version, template);
+    if (!parsed) return null;
+
+    const target = ['patch', 'seq', 'build'].find(name => parsed[name] !== undefined);
+    return target ? customVersion.stringify({ ...parsed, [target]: parsed[target] + 1 }, template) : null;
+  }
+};
+
+// ========== Version Schemes ==========
+
+const versioning = {
+  // Scheme implementations keyed by versioning.pattern
+  schemes: {
+    semver: config => ({
+      name: 'semver',
+      format: 'MAJOR.MINOR.PATCH',
+      parse: semver.parse,
+      compare: semver.compare,
+      initial: () => config.versioning.initialVersion || '0.1.0',
+      next: (current, bumpType) => semver.increment[bumpType](current),
+      hotfix: version => semver.increment.patch(version)
+    }),
+
+    calver: config => {
+      const format = config.versioning.calverFormat || calver.defaultFormat;
+      return {
+        name: 'calver',
+        format,
+        parse: version => calver.parse(version, format),
+        compare: (a, b) => calver.compare(a, b, format),
+        initial: () => calver.next(null, format),
+        next: (current, bumpType) => calver.next(current, format, { bumpType }),
+        hotfix: version => calver.hotfix(version, format)
+      };
+    },
+
+    custom: config => {
+      const template = config.versioning.customPattern;
+      return {
+        name: 'custom',
+        format: template || '(versioning.customPattern is not set)',
+        parse: version => customVersion.parse(version, template),
+        compare: (a, b) => customVersion.compare(a, b, template),
+        initial: () => customVersion.next(null, template, {
+          branch: gitOps.getCurrentBranch(),
+          initial: config.versioning.initialVersion
+        }),
+        next: (current, bumpType) => customVersion.next(current, template, {
+          bumpType,
+          branch: gitOps.getCurrentBranch()
+        }),
+        hotfix: version => customVersion.hotfix(version, template)
+      };
+    }
+  },
+
+  // Resolve the scheme selected by versioning.pattern (semver by default)
+  scheme: config =>
+    (versioning.schemes[config.versioning.pattern] || versioning.schemes.semver)(config),
+
+  // Tag name for a version
+  toTag: (config, version) => `${config.release.tagPrefix || 'v'}${version}`,
+
+  // Strip the configured tag prefix from a tag
+  fromTag: (config, tag) => {
+    const tagPrefix = config.release.tagPrefix || 'v';
+    return tag.startsWith(tagPrefix) ? tag.substring(tagPrefix.length) : tag;
+  }
+};
+
+// ========== Release Tags ==========
+
+const releaseTags = {
+  // Release tags: carry the tag prefix and parse under the configured scheme,
+  // ordered by version precedence (lowest first)
+  list: config => {
+    const tagPrefix = config.release.tagPrefix || 'v';
+    const scheme = versioning.scheme(config);
+    return gitOps.getAllTags()
+      .filter(tag => tag.startsWith(tagPrefix))
+      .filter(tag => scheme.parse(versioning.fromTag(config, tag)))
+      .sort((a, b) => scheme.compare(versioning.fromTag(config, a), versioning.fromTag(config, b)));
+  },
+  
+  // Highest release tag, optionally ignoring semver prereleases or limited to a release line
+  latest: (config, { stable = false, line = null } = {}) => {
+    const tags = releaseTags.list(config)
+      .filter(tag => !stable || !releaseTags.isPrerelease(config, tag))
+      .filter(tag => !line || releaseLines.matches(line, versioning.fromTag(config, tag)));
+    return tags.length > 0 ? tags[tags.length - 1] : null;
+  },
+  
+  // Highest release tag below a version; stable versions skip prereleases,
+  // and tags of the version's own release line win when there are any
+  previous: (config, version) => {
+    const scheme = versioning.scheme(config);
+    const stable = !releaseTags.isPrerelease(config, versioning.toTag(config, version));
+    const line = releaseLines.forVersion(config, version);
+    const tags = releaseTags.list(config)
+      .filter(tag => scheme.compare(versioning.fromTag(config, tag), version) < 0)
+      .filter(tag => !stable || !releaseTags.isPrerelease(config, tag));
+    const lineTags = line ? tags.filter(tag => releaseLines.matches(line, versioning.fromTag(config, tag))) : [];
+    const candidates = lineTags.length > 0 ? lineTags : tags;
+    return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+  },
+  
+  // Whether a tag holds a semver prerelease
+  isPrerelease: (config, tag) => {
+    const parsed = versioning.scheme(config).name === 'semver'
+      ? semver.parse(versioning.fromTag(config, tag))
+      : null;
+    return Boolean(parsed && parsed.prerelease);
+  }
+};
+
+// ========== Release Lines ==========
+
+const releaseLines = {
+  bumpOrder: ['patch', 'minor', 'major'],
+
+  // Declared release lines, e.g. { branch: 'support/1.x', versions: '1.x' }
+  all: config => config.repository.releaseLines || [],
+
+  // Whether a version falls in a line's range (`1.x`, `1.2.x`, `*`)
+  matches: (line, version) => {
+    const segments = (version || '').split('.');
+    return (line.versions || '*').split('.')
+      .every((segment, i) => ['x', 'X', '*'].includes(segment) || segments[i] === segment);
+  },
+
+  // Number of fixed segments in a line's range
+  specificity: line => (line.versions || '*').split('.')
+    .filter(segment => !['x', 'X', '*'].includes(segment)).length,
+
+  // Most specific line whose range holds a version
+  forVersion: (config, version) =>
+    releaseLines.all(config)
+      .filter(line => releaseLines.matches(line, version))
+      .sort((a, b) => releaseLines.specificity(b) - releaseLines.specificity(a))[0] || null,
+
+  // Line of a branch: the line branch itself, the line recorded when a
+  // release or hotfix branch was cut, or for such a branch cut by hand, the
+  // nearest line branch it contains. A line branch the main branch also
+  // contains (just cut, or merged back) says nothing about where a branch belongs
+  forBranch: (config, branch) => {
+    const lines = releaseLines.all(config);
+    const direct = lines.find(line => line.branch === branch);
+    if (direct) return direct;
+
+    const recorded = gitOps.getConfig(`branch.${branch}.releaseLine`);
+    const line = lines.find(l => l.branch === recorded);
+    if (line) return line;
+
+    const { mainBranch, releasePrefix, hotfixPrefix } = config.repository;
+    const cut = [releasePrefix, hotfixPrefix].some(prefix => prefix && (branch || '').startsWith(prefix));
+    if (!cut || branch === mainBranch) return null;
+
+    return lines
+      .filter(l => gitOps.isAncestor(l.branch, branch) && !gitOps.isAncestor(l.branch, mainBranch))
+      .map(l => ({ line: l, distance: gitOps.countCommits(`${l.branch}..${branch}`) }))
+      .sort((a, b) => a.distance - b.distance)
+      .map(candidate => candidate.line)[0] || null;
+  },
+
+  // Line of the checked out branch (null when no lines are declared)
+  current: config =>
+    releaseLines.all(config).length > 0
+      ? releaseLines.forBranch(config, gitOps.getCurrentBranch())
+      : null,
+
+  // Remember the line a branch was cut from
+  record: (branch, line) =>
+    line ? gitOps.setConfig(`branch.${branch}.releaseLine`, line.branch) : true,
+
+  // Largest bump a line allows: the first wildcard segment of its range
+  maxBump: line => {
+    const wildcard = (line.versions || '*').split('.')
+      .findIndex(segment => ['x', 'X', '*'].includes(segment));
+    return ['major', 'minor', 'patch'][wildcard < 0 ? 2 : Math.min(wildcard, 2)];
+  },
+
+  // Keep a bump type inside a line's range
+  clampBump: (line, bumpType) => {
+    if (!line) return bumpType;
+    const max = releaseLines.maxBump(line);
+    return releaseLines.bumpOrder.indexOf(bumpType) > releaseLines.bumpOrder.indexOf(max)
+      ? max
+      : bumpType;
+  }
+};
+
+// ========== Prerelease Channels ==========
+
+const prerelease = {
+  // Channels in promotion order; `stable` is always the final step
+  channels: config => config.versioning.prereleaseChannels || ['alpha', 'beta', 'rc'],
+
+  // Split a prerelease identifier like `rc.2` into channel and counter
+  parse: pre => {
+    const match = (pre || '').match(/^([0-9A-Za-z-]+)\.(\d+)$/);
+    return match ? { channel: match[1], number: parseInt(match[2], 10) } : null;
+  },
+
+  // Version without prerelease or build metadata
+  core: version => {
+    const parsed = semver.parse(version);
+    return parsed ? semver.stringify({ ...parsed, prerelease: '', buildmeta: '' }) : null;
+  },
+
+  // Prerelease identifiers already tagged for a core version
+  tagged: (config, coreVersion) =>
+    releaseTags.list(config)
+      .map(tag => semver.parse(versioning.fromTag(config, tag)))
+      .filter(parsed => parsed && parsed.prerelease &&
+        semver.stringify({ ...parsed, prerelease: '', buildmeta: '' }) === coreVersion)
+      .map(parsed => prerelease.parse(parsed.prerelease))
+      .filter(Boolean),
+
+  // Check that a channel can be used with the current config
+  validate: (config, channel) => {
+    if (config.versioning.pattern && config.versioning.pattern !== 'semver') {
+      return 'Prerelease channels require versioning.pattern semver';
+    }
+    const channels = prerelease.channels(config);
+    if (channel !== 'stable' && !channels.includes(channel)) {
+      return `Unknown prerelease channel ${channel}. Use one of: ${channels.concat('stable').join(', ')}`;
+    }
+    return null;
+  },
+
+  // Next version of a core version on a channel: the counter continues on the
+  // same channel, restarts on a later one, and `stable` strips the prerelease
+  next: (config, coreVersion, channel) => {
+    if (channel === 'stable') return { version: coreVersion };
+
+    const channels = prerelease.channels(config);
+    const tagged = prerelease.tagged(config, coreVersion);
+    const later = tagged.find(p => channels.indexOf(p.channel) > channels.indexOf(channel));
+    if (later) {
+      return {
+        error: `Cannot move ${coreVersion} back from ${later.channel} to ${channel}`
+      };
+    }
+
+    const last = tagged
+      .filter(p => p.channel === channel)
+      .reduce((max, p) => Math.max(max, p.number), 0);
+    return { version: semver.addPrerelease(coreVersion, `${channel}.${last + 1}`) };
+  }
+};
+
+// ========== Version Files ==========
+
+const versionFiles = {
+  // Normalize entries: a string is a JSON file holding a top-level `version`
+  entries: config =>
+    (config.release.versionFiles || []).map(entry => typeof entry === 'string' ? { file: entry } : entry),
+
+  // JSON paths holding the version (lockfiles also carry it under packages[""])
+  jsonPaths: entry => {
+    if (entry.jsonPath) return [entry.jsonPath.split('.')];
+    if (entry.file.split('/').pop() === 'package-lock.json') return [['version'], ['packages', '', 'version']];
+    return [['version']];
+  },
+
+  // Regular expression of a text entry; its first group is the version
+  regex: entry => new RegExp(entry.pattern, entry.flags || 'm'),
+
+  // Versions found in a file ([] when it holds none)
+  read: (entry, content) => {
+    if (entry.pattern) {
+      const match = content.match(versionFiles.regex(entry));
+      return match && match[1] !== undefined ? [match[1]] : [];
+    }
+
+    const json = safeParse(null)(content);
+    if (!json) return [];
+    return versionFiles.jsonPaths(entry)
+      .map(path => path.reduce((obj, key) => obj && obj[key], json))
+      .filter(value => typeof value === 'string');
+  },
+
+  // New content of a file with its version replaced
+  replace: (entry, content, version) => {
+    if (entry.pattern) {
+      return content.replace(versionFiles.regex(entry), (whole, current) => whole.replace(current, version));
+    }
+
+    const json = safeParse(null)(content);
+    const setPath = (obj, [key, ...rest]) => {
+      if (!obj || typeof obj !== 'object' || !(key in obj)) return obj;
+      return { ...obj, [key]: rest.length === 0 ? version : setPath(obj[key], rest) };
+    };
+    const updated = versionFiles.jsonPaths(entry).reduce(setPath, json);
+    const indent = (content.match(/^[ \t]+(?=")/m) || ['  '])[0];
+    return `${JSON.stringify(updated, null, indent)}${content.endsWith('\n') ? '\n' : ''}`;
+  },
+
+  // Work out the content of every version file for a version
+  plan: (config, version) =>
+    versionFiles.entries(config).reduce((acc, entry) => {
+      const content = fs.readFile(entry.file);
+      if (content === null) {
+        return entry.optional ? acc : { ...acc, errors: acc.errors.concat(`Version file ${entry.file} not found`) };
+      }
+      if (versionFiles.read(entry, content).length === 0) {
+        return entry.optional ? acc : { ...acc, errors: acc.errors.concat(`No version found in ${entry.file}`) };
+      }
+
+      const updated = versionFiles.replace(entry, content, version);
+      return updated === content ? acc : { ...acc, updates: acc.updates.concat({ file: entry.file, content: updated }) };
+    }, { updates: [], errors: [] }),
+
+  // Write planned updates, returning the files written
+  write: updates =>
+    updates.filter(({ file, content }) => fs.writeFile(file, content)).map(({ file }) => file),
+
+  // Files whose version differs from the expected one
+  mismatches: (config, version) =>
+    versionFiles.entries(config)
+      .map(entry => ({ entry, content: fs.readFile(entry.file) }))
+      .map(({ entry, content }) => ({ entry, found: content === null ? [] : versionFiles.read(entry, content) }))
+      .filter(({ entry, found }) => found.length === 0 ? !entry.optional : found.some(v => v !== version))
+      .map(({ entry, found }) => ({ file: entry.file, found }))
+};
+
+// ========== Changelog ==========
+
+const changelogOps = {
+  header: [
+    '# Changelog',
+    '',
+    'All notable changes to this project will be documented in this file.',
+    '',
+    'The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/).',
+    ''
+  ].join('\n'),
+
+  // Keep a Changelog categories for commit types (unlisted types are left out)
+  categories: [
+    { title: 'Added', types: ['feat'] },
+    { title: 'Changed', types: ['perf', 'refactor', 'other'] },
+    { title: 'Removed', types: ['revert'] },
+    { title: 'Fixed', types: ['fix'] }
+  ],
+
+  path: config => config.release.changelogPath || 'CHANGELOG.md',
+
+  // Browsable repository URL from repository.remoteUrl (ssh or https)
+  webUrl: config => {
+    const remote = (config.repository.remoteUrl || '').trim();
+    if (!remote) return null;
+    return remote
+      .replace(/^git@([^:]+):/, 'https://$1/')
+      .replace(/^ssh:\/\/(?:[^@]+@)?([^/:]+)(?::\d+)?\//, 'https://$1/')
+      .replace(/^https?:\/\/[^@/]+@/, 'https://')
+      .replace(/\.git$/, '')
+      .replace(/\/$/, '');
+  },
+
+  // Comparison link between two refs (a plain tag link for the first release)
+  compareUrl: (config, from, to) => {
+    const base = changelogOps.webUrl(config);
+    if (!base) return null;
+    if (!from) return `${base}/releases/tag/${to}`;
+    return base.includes('gitlab')
+      ? `${base}/-/compare/${from}...${to}`
+      : `${base}/compare/${from}...${to}`;
+  },
+
+  // Section for one release
+  section: (config, version, commits, date) => {
+    // Merge commits carry no change of their own
+    const entries = commits.filter(commit => !commitLint.ignored.test(commit.subject)).map(commit => {
+      const parsed = conventionalCommits.parseCommit(commit, config);
+      const listed = type => changelogOps.categories.some(c => c.types.includes(type));
+      const type = parsed && (listed(parsed.type.toLowerCase()) || !parsed.isBreaking)
+        ? parsed.type.toLowerCase()
+        : 'other';
+      const text = parsed ? `${parsed.scope ? `**${parsed.scope}:** ` : ''}${parsed.subject}` : commit.subject;
+      return { type, line: `- ${parsed && parsed.isBreaking ? '**BREAKING:** ' : ''}${text} (${commit.hash})` };
+    });
+
+    const body = changelogOps.categories
+      .map(({ title, types }) => ({ title, lines: entries.filter(e => types.includes(e.type)).map(e => e.line) }))
+      .filter(({ lines }) => lines.length > 0)
+      .map(({ title, lines }) => `### ${title}\n\n${lines.join('\n')}\n`)
+      .join('\n');
+
+    return `## [${version}] - ${date}\n\n${body || '_No notable changes._\n'}`;
+  },
+
+  // Split a changelog into its text and its trailing link references
+  split: content => {
+    const lines = content.replace(/\s+$/, '').split('\n');
+    const isLink = line => /^\[[^\]]+\]: \S+/.test(line);
+    let start = lines.length;
+    while (start > 0 && (isLink(lines[start - 1]) || lines[start - 1] === '')) start--;
+    return {
+      text: lines.slice(0, start).join('\n'),
+      links: lines.slice(start).filter(isLink)
+    };
+  },
+
+  // Insert a release section above the newest one, keeping older entries as they are
+  insert: (content, version, section, links) => {
+    const { text, links: existing } = changelogOps.split(content || `${changelogOps.header}\n## [Unreleased]\n`);
+    if (text.includes(`## [${version}]`)) return null;
+
+    const lines = text.split('\n');
+    const index = lines.findIndex(line => /^## \[/.test(line) && !/^## \[unreleased\]/i.test(line));
+    const before = index < 0 ? lines : lines.slice(0, index);
+    const after = index < 0 ? [] : lines.slice(index);
+    const updatedText = [before.join('\n').replace(/\s+$/, ''), '', section.replace(/\s+$/, ''), '', after.join('\n')]
+      .join('\n')
+      .replace(/\s+$/, '');
+
+    const keys = links.map(link => link.substring(0, link.indexOf(']:') + 1).toLowerCase());
+    const kept = existing.filter(link => !keys.includes(link.substring(0, link.indexOf(']:') + 1).toLowerCase()));
+    const allLinks = links.concat(kept);
+    return `${updatedText}\n${allLinks.length > 0 ? `\n${allLinks.join('\n')}\n` : ''}`;
+  },
+
+  // Link references for a release: [unreleased] and the version itself
+  links: (config, version, tag, previousTag) =>
+    [
+      [`[unreleased]`, changelogOps.compareUrl(config, tag, 'HEAD')],
+      [`[${version}]`, changelogOps.compareUrl(config, previousTag, tag)]
+    ]
+      .filter(([, url]) => url)
+      .map(([key, url]) => `${key}: ${url}`),
+
+  // Prepend the section of a release to the changelog file
+  prepend: (version, commits, { date = new Date().toISOString().slice(0, 10) } = {}) => {
+    const config = configOps.load();
+    const file = changelogOps.path(config);
+    const tag = versioning.toTag(config, version);
+    const previousTag = releaseTags.previous(config, version);
+
+    const updated = changelogOps.insert(
+      fs.readFile(file),
+      version,
+      changelogOps.section(config, version, commits, date),
+      changelogOps.links(config, version, tag, previousTag)
+    );
+    if (updated === null) return { success: true, file, changed: false };
+
+    return fs.writeFile(file, updated)
+      ? { success: true, file, changed: true }
+      : { success: false, error: `Failed to write ${file}` };
+  },
+
+  // Section of a release as written in a changelog, or null
+  entry: (content, version) => {
+    const lines = changelogOps.split(content || '').text.split('\n');
+    const start = lines.findIndex(line => line.startsWith(`## [${version}]`));
+    if (start < 0) return null;
+    const end = lines.findIndex((line, index) => index > start && /^## \[/.test(line));
+    return lines.slice(start, end < 0 ? lines.length : end).join('\n').replace(/\s+$/, '');
+  },
+
+  // Commits a section lists, by their hashes (abbreviated alike, as their length varies)
+  hashes: section =>
+    (section.match(/\(([0-9a-f]{7,40})\)$/gm) || []).map(hash => hash.substring(1, 8)).sort().join(' '),
+
+  // Whether a release's entry is missing or lists other commits than it should
+  stale: (config, version, commits) => {
+    const entry = changelogOps.entry(fs.readFile(changelogOps.path(config)), version);
+    return entry === null ||
+      changelogOps.hashes(entry) !== changelogOps.hashes(changelogOps.section(config, version, commits, ''));
+  },
+
+  // Add or update the section of a release. An entry that lists the right commits keeps
+  // its text and only gets the new date; a stale one is written again
+  refresh: (version, commits, { date = new Date().toISOString().slice(0, 10) } = {}) => {
+    const config = configOps.load();
+    const file = changelogOps.path(config);
+    const content = fs.readFile(file);
+    const entry = changelogOps.entry(content, version);
+    if (entry === null) return changelogOps.prepend(version, commits, { date });
+
+    const section = changelogOps.section(config, version, commits, date).replace(/\s+$/, '');
+    const [heading] = section.split('\n');
+    const updated = changelogOps.hashes(entry) === changelogOps.hashes(section)
+      ? [heading].concat(entry.split('\n').slice(1)).join('\n')
+      : section;
+    if (updated === entry) return { success: true, file, changed: false };
+
+    return fs.writeFile(file, content.replace(entry, () => updated))
+      ? { success: true, file, changed: true }
+      : { success: false, error: `Failed to write ${file}` };
+  },
+
+  // Whether the release commit is signed off (approvals required, or promoted to a stage),
+  // so finalize can't add a changelog commit to it
+  locked: config =>
+    Boolean(config.verification.requiredReviews && config.workflow.requiredApprovals > 0) ||
+    stageOps.history(config, 'HEAD').length > 0,
+
+  // Why a signed-off release can't be finalized with its changelog entry
+  staleError: (config, version, branch) =>
+    `${changelogOps.path(config)} has no committed, up-to-date entry for ${version}; ` +
+    `run \`gitrelease changelog\` on ${branch}, commit the entry and collect approvals or promotions again`,
+
+  // Rebuild the whole changelog from the release tag history
+  regenerate: () => {
+    const config = configOps.load();
+    const file = changelogOps.path(config);
+    const tags = releaseTags.list(config);
+
+    const releases = tags.map(tag => {
+      const version = versioning.fromTag(config, tag);
+      const previousTag = releaseTags.previous(config, version);
+      return {
+        version,
+        tag,
+        previousTag,
+        section: changelogOps.section(config, version, gitOps.getCommitsBetween(previousTag, tag), gitOps.getTagDate(tag))
+      };
+    }).reverse();
+
+    const latest = releases[0];
+    const links = [latest ? [`[unreleased]`, changelogOps.compareUrl(config, latest.tag, 'HEAD')] : []]
+      .concat(releases.map(r => [`[${r.version}]`, changelogOps.compareUrl(config, r.previousTag, r.tag)]))
+      .filter(([, url]) => url)
+      .map(([key, url]) => `${key}: ${url}`);
+
+    const content = [changelogOps.header, '## [Unreleased]', '']
+      .concat(releases.map(r => r.section))
+      .join('\n')
+      .replace(/\s+$/, '');
+    const output = `${content}\n${links.length > 0 ? `\n${links.join('\n')}\n` : ''}`;
+
+    return fs.writeFile(file, output)
+      ? { success: true, file, changed: true, releases: releases.length }
+      : { success: false, error: `Failed to write ${file}` };
+  }
+};
+
+// ========== Release Notes ==========
+
+// Minimal template language: {{field}}, {{a.b}}, {{#each list}}, {{#if x}},
+// {{#unless x}}, {{else}}; lines holding only a block tag are dropped
+const notesTemplate = {
+  // Parse template source into text, variable and block nodes
+  parse: source => {
+    const cleaned = source.replace(/^[ \t]*({{\s*(?:[#/][^}]*|else)\s*}})[ \t]*\r?\n/gm, '$1');
+    const root = { children: [] };
+    const stack = [{ node: root, list: root.children }];
+    const tagRegex = /{{\s*([#/]?)\s*([^}]*?)\s*}}/g;
+    let last = 0;
+    let match;
+
+    while ((match = tagRegex.exec(cleaned))) {
+      const top = stack[stack.length - 1];
+      top.list.push({ type: 'text', value: cleaned.slice(last, match.index) });
+      last = tagRegex.lastIndex;
+
+      const [, marker, body] = match;
+      if (marker === '#') {
+        const [block, ...rest] = body.split(/\s+/);
+        if (!['each', 'if', 'unless'].includes(block)) {
+          throw new Error(`Unknown template block {{#${block}}}`);
+        }
+        const node = { type: 'block', block, path: rest.join(' '), children: [], inverse: [] };
+        top.list.push(node);
+        stack.push({ node, list: node.children });
+      } else if (marker === '/') {
+        if (stack.length === 1 || top.node.block !== body) {
+          throw new Error(`Unexpected {{/${body}}}`);
+        }
+        stack.pop();
+      } else if (body === 'else') {
+        if (stack.length === 1) throw new Error('Unexpected {{else}}');
+        top.list = top.node.inverse;
+      } else {
+        top.list.push({ type: 'var', path: body });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Unclosed {{#${stack[stack.length - 1].node.block}}}`);
+    }
+    root.children.push({ type: 'text', value: cleaned.slice(last) });
+    return root.children;
+  },
+
+  // Resolve a dotted path against the innermost scope that defines it
+  lookup: (scopes, path) => {
+    if (path === 'this') return scopes[0];
+    const [head, ...rest] = path.split('.');
+    const scope = scopes.find(s => s && typeof s === 'object' && head in s);
+    return scope ? rest.reduce((value, key) => value == null ? undefined : value[key], scope[head]) : undefined;
+  },
+
+  // Truthiness with empty lists counting as false
+  truthy: value => Array.isArray(value) ? value.length > 0 : Boolean(value),
+
+  renderNodes: (nodes, scopes) =>
+    nodes.map(node => {
+      if (node.type === 'text') return node.value;
+      const value = notesTemplate.lookup(scopes, node.path);
+      if (node.type === 'var') return value == null ? '' : String(value);
+
+      if (node.block === 'each') {
+        return notesTemplate.truthy(value)
+          ? value.map(item => notesTemplate.renderNodes(node.children, [item, ...scopes])).join('')
+          : notesTemplate.renderNodes(node.inverse, scopes);
+      }
+      const show = node.block === 'if' ? notesTemplate.truthy(value) : !notesTemplate.truthy(value);
+      return notesTemplate.renderNodes(show ? node.children : node.inverse, scopes);
+    }).join(''),
+
+  // Render template source with a context object
+  render: (source, context) => notesTemplate.renderNodes(notesTemplate.parse(source), [context])
+};
+
+const notesOps = {
+  // Built-in template, used when release.notes.template is not set
+  defaultTemplate: [
+    '# Release {{version}}',
+    '',
+    '{{#each sections}}',
+    '## {{title}}',
+    '',
+    '{{#each commits}}',
+    '- {{#if showType}}**{{type}}:** {{/if}}{{#if showDescription}}{{description}}{{else}}{{#if highlight}}**{{subject}}**{{else}}{{subject}}{{/if}}{{/if}} ({{hash}})',
+    '{{/each}}',
+    '',
+    '{{/each}}'
+  ].join('\n'),
+
+  // Template fields of a commit
+  commitFields: (config, settings, commit) => {
+    const parsed = conventionalCommits.parseCommit(commit, config);
+    const webUrl = changelogOps.webUrl(config);
+    const type = parsed ? parsed.type.toLowerCase() : 'other';
+    return {
+      hash: commit.hash,
+      fullHash: commit.fullHash || commit.hash,
+      subject: commit.subject,
+      description: parsed ? parsed.subject : commit.subject,
+      type,
+      scope: parsed ? parsed.scope : '',
+      breaking: Boolean(parsed && parsed.isBreaking),
+      body: parsed ? parsed.body : (commit.body || ''),
+      breakingDescription: parsed ? parsed.breakingDescription : '',
+      refs: parsed ? parsed.refs : [],
+      closes: parsed ? parsed.closes : [],
+      coAuthors: parsed ? parsed.coAuthors : [],
+      author: commit.author,
+      email: commit.email || '',
+      date: commit.date,
+      link: webUrl ? `${webUrl}/commit/${commit.fullHash || commit.hash}` : '',
+      highlight: settings.highlightTypes.includes(type)
+    };
+  },
+
+  // Group commits into sections by type (configured order) or by scope
+  sections: (settings, commits) => {
+    if (settings.groupBy === 'scope') {
+      const scopes = commits
+        .map(c => c.scope)
+        .filter((scope, i, all) => scope && all.indexOf(scope) === i)
+        .sort();
+      return scopes
+        .map(scope => ({ title: scope, commits: commits.filter(c => c.scope === scope) }))
+        .concat([{ title: settings.unscopedTitle, commits: commits.filter(c => !c.scope) }])
+        .filter(section => section.commits.length > 0);
+    }
+
+    const listed = settings.sections.flatMap(section => section.types);
+    return settings.sections
+      .map(section => ({
+        ...section,
+        commits: commits.filter(c => section.types.includes(c.type) ||
+          (section.types.includes('*') && c.type !== 'other' && !listed.includes(c.type)))
+      }))
+      .filter(section => section.commits.length > 0);
+  },
+
+  // Structured notes of a release: sections of commits, also the template context
+  model: (config, version, allCommits) => {
+    const settings = config.release.notes;
+    // The version bump commit prepare makes is part of the range but not a change
+    const commits = allCommits.filter(commit => !notesOps.releaseCommit.test(commit.subject));
+    const visible = commits
+      .map(commit => notesOps.commitFields(config, settings, commit))
+      .filter(commit => !settings.hiddenTypes.includes(commit.type));
+
+    // Without conventional commits everything is one chronological list
+    const sections = config.verification.enforceConventionalCommits
+      ? notesOps.sections(settings, visible)
+      : [{ title: 'Changes', commits: visible }].filter(section => section.commits.length > 0);
+    
+    // Breaking changes lead the notes with their own descriptions (hidden types included)
+    const breakingChanges = commits
+      .map(commit => notesOps.commitFields(config, settings, commit))
+      .filter(commit => commit.breaking)
+      .map(commit => ({ ...commit, description: commit.breakingDescription.replace(/\s*\n\s*/g, ' ') }));
+    const breakingSection = breakingChanges.length > 0
+      ? [{ title: settings.breakingTitle || 'Breaking Changes', showDescription: true, commits: breakingChanges }]
+      : [];
+
+    return {
+      version,
+      date: new Date().toISOString().slice(0, 10),
+      repository: changelogOps.webUrl(config) || '',
+      commits: visible,
+      breakingChanges,
+      sections: breakingSection.concat(sections)
+    };
+  },
+
+  // Template source: the configured file, or the built-in template
+  source: config => {
+    const file = config.release.notes.template;
+    if (!file) return notesOps.defaultTemplate;
+    const source = fs.readFile(file);
+    if (source === null) {
+      console.error(`Warning: release notes template ${file} not found, using the built-in template`);
+      return notesOps.defaultTemplate;
+    }
+    return source;
+  },
+
+  // Render notes as Markdown through the configured template
+  markdown: (config, model) => {
+    const render = source => `${notesTemplate.render(source, model).replace(/\s+$/, '')}\n`;
+    try {
+      return render(notesOps.source(config));
+    } catch (e) {
+      console.error(`Warning: ${e.message} in release notes template, using the built-in template`);
+      return render(notesOps.defaultTemplate);
+    }
+  },
+  
+  // Escape text for HTML
+  escapeHtml: text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;'),
+  
+  // Render notes as an HTML fragment
+  html: (config, model) => {
+    const esc = notesOps.escapeHtml;
+    const item = commit => {
+      const text = commit.highlight ? `<strong>${esc(commit.description)}</strong>` : esc(commit.description);
+      const hash = commit.link
+        ? `<a href="${esc(commit.link)}"><code>${esc(commit.hash)}</code></a>`
+        : `<code>${esc(commit.hash)}</code>`;
+      const breaking = commit.breaking ? '<em>BREAKING</em> ' : '';
+      return `      <li>${breaking}${text} (${hash})</li>`;
+    };
+    const sections = model.sections.map(section =>
+      `  <section>\n    <h2>${esc(section.title)}</h2>\n    <ul>\n${section.commits.map(item).join('\n')}\n    </ul>\n  </section>`);
+    return `<article class="release-notes">\n  <h1>Release ${esc(model.version)}</h1>\n${sections.join('\n')}\n</article>\n`;
+  },
+  
+  // Render notes as plain text
+  text: (config, model) => {
+    const title = `Release ${model.version}`;
+    const sections = model.sections.map(section => [
+      section.title,
+      '-'.repeat(section.title.length),
+      ...section.commits.map(commit =>
+        `  * ${commit.breaking ? '[BREAKING] ' : ''}${commit.description} (${commit.hash})`)
+    ].join('\n'));
+    return `${[`${title}\n${'='.repeat(title.length)}`, ...sections].join('\n\n')}\n`;
+  },
+  
+  // Render notes as JSON
+  json: (config, model) => `${JSON.stringify(model, null, 2)}\n`,
+  
+  // Subject of the commits prepare makes on a release branch
+  releaseCommit: /^chore\(release\): /,
+  
+  // Output formats and the file extension of each
+  formats: { markdown: 'md', html: 'html', text: 'txt', json: 'json' },
+  
+  // Whether a name is one of the output formats (not an inherited key like constructor)
+  isFormat: format => Object.prototype.hasOwnProperty.call(notesOps.formats, format),
+  
+  // Render release notes for a list of commits in a format
+  render: (config, version, commits, format = 'markdown') =>
+    notesOps[format](config, notesOps.model(config, version, commits))
+};
+
+// ========== Finalize Journal ==========
+
+// The steps of a running finalize, so an interrupted one can be resumed or undone.
+// Not written in dry-run mode.
+const finalizeJournal = {
+  path: () => gitOps.gitPath('gitrelease/finalize.json'),
+  
+  read: () => safeParse(null)(fs.readFile(finalizeJournal.path())),
+  
+  write: journal => {
+    if (dryRun.enabled) return journal;
+    const file = finalizeJournal.path();
+    fs.makeDir(require('path').dirname(file));
+    fs.writeFile(file, JSON.stringify(journal, null, 2));
+    return journal;
+  },
+  
+  remove: () => dryRun.enabled || fs.removeFile(finalizeJournal.path()),
+  
+  // Journal with a step's entry added or replaced
+  record: (journal, entry) => finalizeJournal.write({
+    ...journal,
+    steps: journal.steps.filter(step => step.name !== entry.name).concat(entry)
+  }),
+  
+  // Status of a step in the journal
+  status: (journal, name) => (journal.steps.find(step => step.name === name) || {}).status || null
+};
+
+// ========== Release Management ==========
+
+const releaseOps = {
+  // Prepare a new release
+  prepare: version => {
+    const config = configOps.load();
+    const scheme = versioning.scheme(config);
+    
+    // Ensure the version matches the configured scheme
+    if (!scheme.parse(version)) {
+      return { success: false, error: `Version ${version} does not match the ${scheme.name} format ${scheme.format}` };
+    }
+    
+    // Ensure the version belongs to the release line of the current branch
+    const line = releaseLines.current(config);
+    if (line && !releaseLines.matches(line, version)) {
+      return { success: false, error: `Version ${version} does not belong to release line ${line.branch} (${line.versions})` };
+    }
+    
+    // Ensure working directory is clean
+    if (config.workflow.requireCleanWorkDir && !gitOps.isWorkingDirClean()) {
+      return { success: false, error: 'Working directory is not clean' };
+    }
+    
+    // Work out version file updates before touching the repository
+    const files = versionFiles.plan(config, version);
+    if (files.errors.length > 0) {
+      return { success: false, error: files.errors.join('; ') };
+    }
+    
+    // Create or checkout release branch
+    const releaseBranch = `${config.repository.releasePrefix}${version}`;
+    const branch = gitOps.createBranch(releaseBranch);
+    
+    if (!branch.success) {
+      return { success: false, error: gitError(`Failed to create branch ${releaseBranch}`, branch) };
+    }
+    releaseLines.record(releaseBranch, line);
+    
+    // Bump version files and add the changelog entry, so the commit approvers sign off is the one tagged
+    const written = versionFiles.write(files.updates);
+    if (config.release.generateChangelog) {
+      const previousTag = releaseTags.previous(config, version);
+      const changelog = changelogOps.prepend(version, gitOps.getCommitsSinceTag(previousTag));
+      if (!changelog.success) return changelog;
+      if (changelog.changed) written.push(changelog.file);
+    }
+    const commit = written.length > 0 ? gitOps.commit(`chore(release): ${version}`, written) : null;
+    if (commit && !commit.success) {
+      return { success: false, error: gitError('Failed to commit the release files', commit) };
+    }
+    
+    return { 
+      success: true, 
+      branch: releaseBranch,
+      line: line ? line.branch : null,
+      tagName: versioning.toTag(config, version),
+      files: written,
+      version
+    };
+  },
+  
+  // Finalize release
+  // Steps of finalize in order. `before` saves what undo needs in the journal
+  // ahead of `run`; steps are safe to run again after an interruption
+  finalizeSteps: [
+    {
+      name: 'changelog',
+      before: () => ({ head: gitOps.resolve('HEAD') }),
+      run: (config, journal) => {
+        if (!config.release.generateChangelog) return { success: true };
+        const previousTag = releaseTags.previous(config, journal.version);
+        const commits = gitOps.getCommitsSinceTag(previousTag);
+        
+        // Prepare commits the entry; a signed-off commit can't get a new one, so a stale entry stops the release
+        if (changelogOps.locked(config)) {
+          const file = changelogOps.path(config);
+          return changelogOps.stale(config, journal.version, commits) || readGit('status', '--porcelain', '--', file)
+            ? { success: false, error: changelogOps.staleError(config, journal.version, journal.branch) }
+            : { success: true };
+        }
+        
+        // Otherwise bring the entry up to date with commits made since prepare
+        const changelog = changelogOps.refresh(journal.version, commits);
+        if (!changelog.success) return changelog;
+        
+        if (changelog.changed || readGit('status', '--porcelain', '--', changelog.file)) {
+          const commit = gitOps.commit(`docs(changelog): ${journal.version}`, [changelog.file]);
+          if (!commit.success) {
+            // Put back the file as committed, or remove it when this run created it
+            if (changelog.changed) {
+              if (readGit('ls-files', '--', changelog.file)) mutateGit(['checkout', '-q', 'HEAD', '--', changelog.file]);
+              else fs.removeFile(changelog.file);
+            }
+            return { success: false, error: gitError(`Failed to commit ${changelog.file}`, commit) };
+          }
+        }
+        return { success: true };
+      },
+      undo: (config, journal, { head }) => {
+        if (gitOps.resolve('HEAD') === head) return { success: true };
+        const reset = mutateGit(['reset', '-q', '--keep', head]);
+        return reset.success
+          ? { success: true }
+          : { success: false, error: gitError(`Could not reset ${journal.branch} to ${head.substring(0, 7)}`, reset) };
+      }
+    },
+    {
+      name: 'tag',
+      run: (config, journal) => {
+        if (gitOps.tagExists(journal.tag) && gitOps.resolve(journal.tag) === gitOps.resolve('HEAD')) {
+          return { success: true };
+        }
+        const tag = gitOps.createTag(journal.tag, journal.notes);
+        return tag.success
+          ? { success: true }
+          : { success: false, error: gitError(`Failed to create tag ${journal.tag}`, tag) };
+      },
+      undo: (config, journal) => {
+        if (!gitOps.tagExists(journal.tag)) return { success: true };
+        const deleted = gitOps.deleteTag(journal.tag);
+        return deleted.success
+          ? { success: true }
+          : { success: false, error: gitError(`Could not delete tag ${journal.tag}`, deleted) };
+      }
+    },
+    {
+      name: 'push',
+      // Branch and tag go up together or not at all
+      before: (config, journal) => ({ remoteHead: gitOps.remoteSha(gitOps.remote, `refs/heads/${journal.branch}`) }),
+      run: (config, journal) => {
+        const push = gitOps.pushRelease(gitOps.remote, journal.branch, [journal.tag]);
+        return push.success ? { success: true } : { success: false, error: gitError('Failed to push to remote', push) };
+      },
+      undo: (config, journal, { remoteHead }) => {
+        const branchRef = `refs/heads/${journal.branch}`;
+        const current = gitOps.remoteSha(gitOps.remote, branchRef);
+        const lease = `--force-with-lease=${branchRef}:${current}`;
+        const tagRemoved = gitOps.remoteSha(gitOps.remote, `refs/tags/${journal.tag}`)
+          ? mutateGit(['push', '-q', gitOps.remote, `:refs/tags/${journal.tag}`])
+          : { success: true };
+        const branchRestored = current === remoteHead
+          ? { success: true }
+          : mutateGit(['push', '-q', lease, gitOps.remote, remoteHead ? `${remoteHead}:${branchRef}` : `:${branchRef}`]);
+        const failed = [tagRemoved, branchRestored].find(result => !result.success);
+        return failed
+          ? { success: false, error: gitError(`Could not restore ${journal.branch} and ${journal.tag} on ${gitOps.remote}`, failed) }
+          : { success: true };
+      }
+    },
+    {
+      name: 'notes',
+      // Approvals and stages are shared on a best-effort basis
+      run: config => {
+        gitOps.pushNotes(config.workflow.approvalsRef);
+        gitOps.pushNotes(config.workflow.stagesRef);
+        return { success: true };
+      }
+    },
+    {
+      name: 'artifacts',
+      run: (config, journal) => ({
+        success: true,
+        data: { files: config.release.artifacts.saveAssets ? releaseOps.generateArtifacts(journal.version) : [] }
+      }),
+      undo: (config, journal, { files = [] }) => {
+        files.forEach(file => fs.removeFile(file));
+        return { success: true };
+      }
+    }
+  ],
+  
+  // Finalize the release on the current branch: changelog commit, tag, push, artifacts
+  finalize: ({ version, tagName }) => {
+    const config = configOps.load();
+    if (finalizeJournal.read()) {
+      return { success: false, error: 'A finalize is already in progress; run `gitrelease finalize --resume` or `gitrelease abort`' };
+    }
+    
+    const journal = finalizeJournal.write({
+      version,
+      tag: tagName,
+      branch: gitOps.getCurrentBranch(),
+      notes: releaseOps.generateReleaseNotes(version),
+      started: new Date().toISOString(),
+      steps: []
+    });
+    return releaseOps.runFinalize(config, journal);
+  },
+  
+  // Run the finalize steps the journal hasn't completed; a failure undoes the completed ones
+  runFinalize: (config, startJournal) => {
+    let journal = startJournal;
+    for (const step of releaseOps.finalizeSteps) {
+      if (finalizeJournal.status(journal, step.name) === 'done') continue;
+      
+      const saved = finalizeJournal.status(journal, step.name) === 'started'
+        ? journal.steps.find(entry => entry.name === step.name).data
+        : step.before ? step.before(config, journal) : {};
+      journal = finalizeJournal.record(journal, { name: step.name, status: 'started', data: saved });
+      
+      const result = step.run(config, journal);
+      if (!result.success) {
+        // A failing step leaves nothing behind; the steps before it are undone
+        journal = finalizeJournal.write({ ...journal, steps: journal.steps.filter(entry => entry.name !== step.name) });
+        const undo = releaseOps.undoFinalize(config, journal);
+        return { ...undo, success: false, error: result.error, failedStep: step.name };
+      }
+      journal = finalizeJournal.record(journal, { name: step.name, status: 'done', data: { ...saved, ...result.data } });
+    }
+    
+    finalizeJournal.remove();
+    return { success: true, version: journal.version, tag: journal.tag, notes: journal.notes };
+  },
+  
+  // Undo the journal's steps, last first; the journal stays when an undo fails
+  undoFinalize: (config, journal) => {
+    const undone = [];
+    const steps = journal.steps.slice().reverse();
+    for (const entry of steps) {
+      const step = releaseOps.finalizeSteps.find(candidate => candidate.name === entry.name);
+      const result = step && step.undo ? step.undo(config, journal, entry.data || {}) : { success: true };
+      if (!result.success) {
+        finalizeJournal.write({ ...journal, steps: journal.steps.filter(remaining => !undone.includes(remaining.name)) });
+        return { undone, undoError: result.error };
+      }
+      undone.push(entry.name);
+    }
+    finalizeJournal.remove();
+    return { undone, undoError: null };
+  },
+  
+  // Continue an interrupted finalize
+  resumeFinalize: () => {
+    const journal = finalizeJournal.read();
+    if (!journal) return { success: false, error: 'No finalize in progress' };
+    if (gitOps.getCurrentBranch() !== journal.branch) {
+      return { success: false, error: `Check out ${journal.branch} to resume finalizing ${journal.version}` };
+    }
+    return releaseOps.runFinalize(configOps.load(), journal);
+  },
+  
+  // Undo an interrupted finalize
+  abortFinalize: () => {
+    const journal = finalizeJournal.read();
+    if (!journal) return { success: false, error: 'No finalize in progress' };
+    if (gitOps.getCurrentBranch() !== journal.branch) {
+      return { success: false, error: `Check out ${journal.branch} to abort finalizing ${journal.version}` };
+    }
+    const result = releaseOps.undoFinalize(configOps.load(), journal);
+    return result.undoError
+      ? { success: false, error: result.undoError, undone: result.undone }
+      : { success: true, version: journal.version, undone: result.undone };
+  },
+  
+  // Generate release notes
+  generateReleaseNotes: (version, format = 'markdown') => {
+    const config = configOps.load();
+    const { from, to } = releaseOps.releaseRange(config, version);
+    return releaseOps.formatReleaseNotes(version, gitOps.getCommitsBetween(from, to), format);
+  },
+  
+  // Commit range of a release: from its predecessor tag (or the start of history)
+  // to its own tag once it exists, or to HEAD while it is being released
+  releaseRange: (config, version) => {
+    const tag = versioning.toTag(config, version);
+    return {
+      from: releaseTags.previous(config, version),
+      to: gitOps.tagExists(tag) ? tag : 'HEAD'
+    };
+  },
+  
+  // Read back the notes stored with a release: the annotated tag message or the saved snapshot
+  storedReleaseNotes: (version, source, format = 'markdown') => {
+    const config = configOps.load();
+    const tag = versioning.toTag(config, version);
+    
+    if (source === 'tag') {
+      if (format !== 'markdown') {
+        return { success: false, error: 'Tag messages hold Markdown notes only' };
+      }
+      const message = gitOps.getTagMessage(tag);
+      return message
+        ? { success: true, notes: message }
+        : { success: false, error: `Tag ${tag} is not an annotated tag` };
+    }
+    
+    const artifactPath = config.release.artifacts.assetPath || './dist';
+    const snapshotFile = `${artifactPath}/release-snapshot-${version}.json`;
+    const snapshot = safeParse(null)(fs.readFile(snapshotFile));
+    if (!snapshot || !Array.isArray(snapshot.commits)) {
+      return { success: false, error: `No release snapshot found at ${snapshotFile}` };
+    }
+    return { success: true, notes: releaseOps.formatReleaseNotes(version, snapshot.commits, format) };
+  },
+  
+  // Format release notes for a list of commits
+  formatReleaseNotes: (version, commits, format = 'markdown') =>
+    notesOps.render(configOps.load(), version, commits, format),
+  
+  // Write release notes in every configured artifact format
+  saveReleaseNotes: (config, name, version, commits) => {
+    const artifactPath = config.release.artifacts.assetPath || './dist';
+    return (config.release.artifacts.notesFormats || ['markdown'])
+      .filter(notesOps.isFormat)
+      .map(format => {
+        const file = `${artifactPath}/release-notes-${name}.${notesOps.formats[format]}`;
+        return fs.writeFile(file, releaseOps.formatReleaseNotes(version, commits, format)) ? file : null;
+      })
+      .filter(Boolean);
+  },
+  
+  // Generate release artifacts, returning the files written
+  generateArtifacts: version => {
+    const config = configOps.load();
+    const artifactPath = config.release.artifacts.assetPath || './dist';
+    
+    // Ensure artifact directory exists
+    fs.makeDir(artifactPath);
+    
+    // Generate Software Bill of Materials if configured
+    const sbomFile = config.release.artifacts.generateSBOM ? `${artifactPath}/sbom-${version}.json` : null;
+    if (sbomFile) {
+      fs.writeFile(sbomFile, JSON.stringify(releaseOps.generateSBOM(), null, 2));
+    }
+    
+    // Save release notes in each configured format
+    const { from, to } = releaseOps.releaseRange(config, version);
+    const notesFiles = releaseOps.saveReleaseNotes(config, version, version, gitOps.getCommitsBetween(from, to));
+    
+    // Create release snapshot
+    const snapshot = releaseOps.createSnapshot(version);
+    const snapshotFile = `${artifactPath}/release-snapshot-${version}.json`;
+    fs.writeFile(snapshotFile, JSON.stringify(snapshot, null, 2));
+    
+    return [sbomFile, ...notesFiles, snapshotFile].filter(Boolean);
+  },
+  
+  // Generate Software Bill of Materials (SBOM)
+  generateSBOM: () => {
+    // Check for package.json to extract dependencies
+    const packageJson = fs.readFile('./package.json');
+    const dependencies = packageJson ? 
+      JSON.parse(packageJson).dependencies || {} : {};
+    
+    // Get git info
+    const gitInfo = {
+      commit: readGit('rev-parse', 'HEAD'),
+      branch: gitOps.getCurrentBranch(),
+      remote: readGit('config', '--get', `remote.${gitOps.remote}.url`)
+    };
+    
+    const toEntries = deps => Object.entries(deps).map(([name, version]) => ({
+      name,
+      version: version.replace(/[^0-9.]/g, '')
+    }));
+    
+    // Include workspace packages and their dependencies
+    const packages = monorepoOps.discover(configOps.load()).map(pkg => ({
+      name: pkg.name,
+      version: pkg.version,
+      path: pkg.path,
+      dependencies: toEntries(pkg.manifest.dependencies || {})
+    }));
+    
+    return {
+      timestamp: new Date().toISOString(),
+      git: gitInfo,
+      dependencies: toEntries(dependencies),
+      ...(packages.length > 0 ? { packages } : {})
+    };
+  },
+  
+  // Create a full release snapshot for immutable record
+  createSnapshot: version => {
+    const config = configOps.load();
+    const { from: previousTag, to } = releaseOps.releaseRange(config, version);
+    const commits = gitOps.getCommitsBetween(previousTag, to);
+    
+    return {
+      version,
+      timestamp: new Date().toISOString(),
+      git: {
+        commit: readGit('rev-parse', 'HEAD'),
+        branch: gitOps.getCurrentBranch(),
+        tag: versioning.toTag(config, version),
+        previousTag
+      },
+      config: config,
+      commits: commits,
+      sbom: releaseOps.generateSBOM()
+    };
+  },
+  
+  // Determine the bump type from the commits since a tag
+  bumpTypeSince: tag => {
+    const config = configOps.load();
+    const commits = gitOps.getCommitsSinceTag(tag);
+    
+    // If using conventional commits, analyze commit types
+    if (config.verification.enforceConventionalCommits && commits.length > 0) {
+      const bumpType = conventionalCommits.analyzeBumpType(commits, config);
+      return conventionalCommits.preMajorBump(config, versioning.fromTag(config, tag), bumpType);
+    }
+    
+    // Default to patch increment
+    return 'patch';
+  },
+  
+  // Work out the next version on the current release line, optionally on a prerelease channel
+  planNextVersion: ({ version, pre } = {}) => {
+    const config = configOps.load();
+    const scheme = versioning.scheme(config);
+    const line = releaseLines.current(config);
+    
+    if (pre) {
+      // A channel the config doesn't allow is a bad argument, not a repository state
+      const error = prerelease.validate(config, pre);
+      if (error) return { error, usage: true };
+    }
+    
+    const base = version
+      ? { version: prerelease.core(version) || version }
+      : releaseOps.baseVersion(config, scheme, line);
+    if (base.error) return base;
+    
+    const plan = pre ? prerelease.next(config, base.version, pre) : { version: base.version };
+    return { ...plan, line };
+  },
+  
+  // Next release version without a prerelease suffix, as { version } or { error }
+  baseVersion: (config, scheme, line) => {
+    const latestTag = releaseTags.latest(config, { line });
+    const bumpSince = tag => releaseLines.clampBump(line, releaseOps.bumpTypeSince(tag));
+    
+    // If no previous version, start from the scheme's initial version
+    if (!latestTag) {
+      return { version: scheme.initial() };
+    }
+    
+    // Strip prefix if present
+    const currentVersion = versioning.fromTag(config, latestTag);
+    const parsed = scheme.name === 'semver' ? semver.parse(currentVersion) : null;
+    
+    // A prerelease is promoted unless commits since the last stable tag call for more
+    if (parsed && parsed.prerelease) {
+      const pending = prerelease.core(currentVersion);
+      const stableTag = releaseTags.latest(config, { stable: true, line });
+      const stableBump = stableTag ? bumpSince(stableTag) : 'none';
+      const bumped = stableBump !== 'none'
+        ? scheme.next(versioning.fromTag(config, stableTag), stableBump)
+        : pending;
+      return { version: bumped && semver.compare(pending, bumped) < 0 ? bumped : pending };
+    }
+    
+    const bumpType = bumpSince(latestTag);
+    if (bumpType === 'none') {
+      return { error: `No release needed: the commits since ${latestTag} do not call for a version bump` };
+    }
+    const next = scheme.next(currentVersion, bumpType);
+    return next
+      ? { version: next }
+      : { error: 'Could not determine the next version from the latest tag' };
+  },
+  
   // Calculate next version based on conventional commits
-  suggestNextVersion: () => {
+  suggestNextVersion: options => releaseOps.planNextVersion(options).version || null
+};
+
+// ========== Monorepo ==========
+
+const monorepoOps = {
+  dependencyFields: ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'],
+
+  // Workspace globs: monorepo.packages, falling back to package.json workspaces
+  patterns: config => {
+    if ((config.monorepo.packages || []).length > 0) return config.monorepo.packages;
+    const manifest = safeParse({})(fs.readFile('./package.json'));
+    const workspaces = (manifest && manifest.workspaces) || [];
+    return Array.isArray(workspaces) ? workspaces : workspaces.packages || [];
+  },
+
+  // Expand a workspace glob (`*` within a segment, `**` for any depth) to directories
+  expand: pattern => {
+    const join = (base, dir) => base === '.' ? dir : `${base}/${dir}`;
+    const walk = (base, [segment, ...rest]) => {
+      if (segment === undefined) return [base];
+      const dirs = fs.listDirs(base).filter(dir => dir !== 'node_modules' && !dir.startsWith('.'));
+      if (segment === '**') {
+        return walk(base, rest).concat(dirs.flatMap(dir => walk(join(base, dir), [segment, ...rest])));
+      }
+      const matcher = new RegExp(`^${segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')}$`);
+      return dirs.filter(dir => matcher.test(dir)).flatMap(dir => walk(join(base, dir), rest));
+    };
+    return walk('.', pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/'));
+  },
+
+  // Workspace packages with a name and version; `!` patterns exclude directories
+  discover: config => {
+    const patterns = monorepoOps.patterns(config);
+    const excluded = patterns.filter(p => p.startsWith('!')).flatMap(p => monorepoOps.expand(p.substring(1)));
+    const dirs = patterns
+      .filter(p => !p.startsWith('!'))
+      .flatMap(monorepoOps.expand)
+      .filter((dir, i, all) => all.indexOf(dir) === i && !excluded.includes(dir));
+
+    return dirs
+      .map(dir => ({ path: dir, manifest: safeParse(null)(fs.readFile(`${dir}/package.json`)) }))
+      .filter(({ manifest }) => manifest && manifest.name && manifest.version)
+      .map(({ path, manifest }) => ({ name: manifest.name, version: manifest.version, path, manifest }));
+  },
+
+  // Names of workspace packages a package depends on
+  internalDeps: (pkg, names) =>
+    monorepoOps.dependencyFields
+      .flatMap(field => Object.keys(pkg.manifest[field] || {}))
+      .filter((name, i, all) => names.includes(name) && all.indexOf(name) === i),
+
+  // Tag name for a package version, e.g. `@org/api@1.4.0`
+  toTag: (config, name, version) =>
+    (config.monorepo.tagFormat || '{name}@{version}')
+      .replace('{name}', name)
+      .replace('{version}', version),
+
+  // Released versions of a package, lowest first
+  versions: (config, name) => {
+    const escape = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const [before, after] = monorepoOps.toTag(config, name, '\u0000').split('\u0000');
+    const matcher = new RegExp(`^${escape(before)}(.+)${escape(after)}$`);
+    return gitOps.getAllTags()
+      .map(tag => (tag.match(matcher) || [])[1])
+      .filter(version => semver.parse(version))
+      .sort(semver.compare);
+  },
+
+  // Highest released version of a package
+  latestVersion: (config, name) => monorepoOps.versions(config, name).pop() || null,
+
+  // Release entry for a package: an explicit version is used as given, untagged packages
+  // release their manifest version, tagged ones are bumped from the commits touching their path
+  planPackage: (config, pkg, reason, version = null) => {
+    const latest = monorepoOps.latestVersion(config, pkg.name);
+    const latestTag = latest ? monorepoOps.toTag(config, pkg.name, latest) : null;
+    const commits = gitOps.getCommitsSinceTag(latestTag, [pkg.path]);
+
+    if (reason === 'explicit') {
+      return { name: pkg.name, path: pkg.path, current: latest, next: version, bumpType: null, reason, commits };
+    }
+    if (!latest) {
+      return { name: pkg.name, path: pkg.path, current: null, next: pkg.version, bumpType: null, reason: 'initial', commits };
+    }
+    if (reason === 'dependency') {
+      return { name: pkg.name, path: pkg.path, current: latest, next: semver.increment.patch(latest), bumpType: 'patch', reason, commits };
+    }
+    if (commits.length === 0) return null;
+
+    const bumpType = config.verification.enforceConventionalCommits
+      ? conventionalCommits.preMajorBump(config, latest, conventionalCommits.analyzeBumpType(commits, config))
+      : 'patch';
+    if (bumpType === 'none') return null;
+    return { name: pkg.name, path: pkg.path, current: latest, next: semver.increment[bumpType](latest), bumpType, reason, commits };
+  },
+
+  // Packages to release: changed packages (or the selected ones), plus
+  // dependents of anything released when monorepo.bumpDependents is on
+  plan: (config, { names = null, version = null } = {}) => {
+    const packages = monorepoOps.discover(config);
+    const allNames = packages.map(pkg => pkg.name);
+
+    const unknown = (names || []).filter(name => !allNames.includes(name));
+    if (unknown.length > 0) {
+      return { error: `Unknown package(s): ${unknown.join(', ')}` };
+    }
+    if (version && (!names || names.length !== 1)) {
+      return { error: 'An explicit version needs exactly one --package' };
+    }
+
+    const direct = packages
+      .filter(pkg => !names || names.includes(pkg.name))
+      .map(pkg => monorepoOps.planPackage(config, pkg, version ? 'explicit' : 'changed', version))
+      .filter(Boolean);
+
+    const addDependents = entries => {
+      const planned = entries.map(entry => entry.name);
+      const dependents = packages.filter(pkg =>
+        !planned.includes(pkg.name) &&
+        monorepoOps.internalDeps(pkg, allNames).some(dep => planned.includes(dep)));
+      if (dependents.length === 0) return entries;
+      return addDependents(entries.concat(dependents.map(pkg => monorepoOps.planPackage(config, pkg, 'dependency'))));
+    };
+
+    const entries = config.monorepo.bumpDependents === false ? direct : addDependents(direct);
+    return { packages, entries };
+  },
+
+  // Write planned versions and internal dependency ranges into manifests
+  apply: (packages, entries) => {
+    const versions = entries.reduce((acc, entry) => ({ ...acc, [entry.name]: entry.next }), {});
+    const updateRange = (range, version) =>
+      range.startsWith('workspace:') ? range : `${(range.match(/^[\^~]/) || [''])[0]}${version}`;
+
+    return packages
+      .map(pkg => {
+        const manifest = monorepoOps.dependencyFields.reduce((acc, field) => {
+          if (!acc[field]) return acc;
+          const deps = Object.keys(acc[field]).reduce((d, name) => ({
+            ...d,
+            [name]: versions[name] ? updateRange(acc[field][name], versions[name]) : acc[field][name]
+          }), {});
+          return { ...acc, [field]: deps };
+        }, versions[pkg.name] ? { ...pkg.manifest, version: versions[pkg.name] } : pkg.manifest);
+
+        if (JSON.stringify(manifest) === JSON.stringify(pkg.manifest)) return null;
+        const file = `${pkg.path}/package.json`;
+        const indent = ((fs.readFile(file) || '').match(/^[ \t]+(?=")/m) || ['  '])[0];
+        return fs.writeFile(file, `${JSON.stringify(manifest, null, indent)}\n`) ? file : null;
+      })
+      .filter(Boolean);
+  },
+
+  // Prepare a release branch with bumped package manifests
+  prepare: ({ names, version } = {}) => {
+    const config = configOps.load();
+    const plan = monorepoOps.plan(config, { names, version });
+    if (plan.error) return { success: false, error: plan.error };
+    if (plan.entries.length === 0) {
+      return { success: false, error: 'No packages changed since their last release' };
+    }
+
+    const invalid = plan.entries.find(entry => !semver.parse(entry.next));
+    if (invalid) {
+      return { success: false, error: `Version ${invalid.next} of ${invalid.name} is not a valid semver version` };
+    }
+
+    if (config.workflow.requireCleanWorkDir && !gitOps.isWorkingDirClean()) {
+      return { success: false, error: 'Working directory is not clean' };
+    }
+
+    const suffix = plan.entries.length === 1
+      ? monorepoOps.toTag(config, plan.entries[0].name, plan.entries[0].next)
+      : `packages-${new Date().toISOString().slice(0, 10)}-${readGit('rev-parse', '--short', 'HEAD')}`;
+    const releaseBranch = `${config.repository.releasePrefix}${suffix}`;
+    const branch = gitOps.createBranch(releaseBranch);
+    if (!branch.success) {
+      return { success: false, error: gitError(`Failed to create branch ${releaseBranch}`, branch) };
+    }
+
+    const files = monorepoOps.apply(plan.packages, plan.entries);
+    const summary = plan.entries.map(entry => `- ${monorepoOps.toTag(config, entry.name, entry.next)}`).join('\n');
+    const commit = files.length > 0 ? gitOps.commit(`chore(release): publish\n\n${summary}`, files) : null;
+    if (commit && !commit.success) {
+      return { success: false, error: gitError('Failed to commit package versions', commit) };
+    }
+
+    return { success: true, branch: releaseBranch, packages: plan.entries };
+  },
+
+  // Tag every package whose manifest version has not been released yet
+  finalize: ({ names } = {}) => {
     const config = configOps.load();
-    const latestTag = gitOps.getLatestTag();
-    const commits = latestTag ? gitOps.getCommitsSinceTag(latestTag) : [];
+    const pending = monorepoOps.discover(config)
+      .filter(pkg => !names || names.includes(pkg.name))
+      .filter(pkg => !gitOps.tagExists(monorepoOps.toTag(config, pkg.name, pkg.version)))
+      .filter(pkg => {
+        const latest = monorepoOps.latestVersion(config, pkg.name);
+        return semver.parse(pkg.version) && (!latest || semver.compare(pkg.version, latest) > 0);
+      });
+
+    if (pending.length === 0) {
+      return { success: false, error: 'No unreleased package versions to tag' };
+    }
+
+    // Created tags are deleted again when tagging or the push fails, so the next finalize retries them
+    const released = [];
+    const untag = () => released.forEach(({ tag }) => gitOps.deleteTag(tag));
+    for (const pkg of pending) {
+      const latest = monorepoOps.latestVersion(config, pkg.name);
+      const commits = gitOps.getCommitsSinceTag(latest ? monorepoOps.toTag(config, pkg.name, latest) : null, [pkg.path]);
+      const tag = monorepoOps.toTag(config, pkg.name, pkg.version);
+      const notes = releaseOps.formatReleaseNotes(tag, commits);
+
+      const created = gitOps.createTag(tag, notes);
+      if (!created.success) {
+        untag();
+        return { success: false, error: gitError(`Failed to create tag ${tag}`, created) };
+      }
+      released.push({ name: pkg.name, version: pkg.version, tag, notes, commits });
+    }
+
+    const push = gitOps.pushRelease(gitOps.remote, gitOps.getCurrentBranch(), released.map(({ tag }) => tag));
+    if (!push.success) {
+      untag();
+      return { success: false, error: gitError('Failed to push to remote', push) };
+    }
+
+    // Save per-package notes and one SBOM for the whole workspace
+    if (config.release.artifacts.saveAssets) {
+      const artifactPath = config.release.artifacts.assetPath || './dist';
+      fs.makeDir(artifactPath);
+      released.forEach(({ tag, commits }) => {
+        releaseOps.saveReleaseNotes(config, tag.replace(/[@/]/g, '-').replace(/^-/, ''), tag, commits);
+      });
+      if (config.release.artifacts.generateSBOM) {
+        fs.writeFile(`${artifactPath}/sbom-${gitOps.getCurrentBranch().replace(/\//g, '-')}.json`,
+          JSON.stringify(releaseOps.generateSBOM(), null, 2));
+      }
+    }
+
+    return { success: true, packages: released };
+  }
+};
+
+// ========== Commit Linting ==========
+
+const commitLint = {
+  // Merge commits are written by git and never linted
+  ignored: /^Merge /,
+  
+  // Words that look like past tense, gerunds or third person but are fine as a first word
+  imperativeExceptions: [
+    'need', 'embed', 'feed', 'seed', 'shed', 'speed', 'proceed', 'exceed', 'succeed',
+    'bring', 'ping', 'ring', 'sing', 'string', 'always', 'alias', 'bias', 'canvas'
+  ],
+  
+  // Rules with their default options; a check returns a problem or null
+  rules: {
+    'header-format': {
+      check: ctx => conventionalCommits.explain(ctx.message, ctx.config)
+    },
+    'subject-max-length': {
+      options: { max: 72 },
+      check: (ctx, { max }) => ctx.header.length > max
+        ? `The subject line is ${ctx.header.length} characters long, more than ${max}`
+        : null
+    },
+    'subject-full-stop': {
+      check: ctx => /[^.]\.$/.test(ctx.subject) ? 'The subject must not end with a period' : null
+    },
+    'subject-imperative': {
+      check: ctx => {
+        const [word = ''] = ctx.subject.split(/\s+/);
+        return commitLint.looksNonImperative(word)
+          ? `Write the subject in the imperative mood ("add", not "added" or "adds"); it starts with "${word}"`
+          : null;
+      }
+    },
+    'scope-required': {
+      check: ctx => ctx.parsed && !ctx.parsed.scope ? 'A scope is required, e.g. `fix(api): ...`' : null
+    },
+    'no-wip': {
+      check: ctx => {
+        const autosquash = ctx.header.match(/^(fixup|squash|amend)! /);
+        if (autosquash) return `Squash the ${autosquash[1]}! commit into the commit it amends`;
+        return [ctx.header, ctx.subject].some(text => /^\[?wip\b/i.test(text))
+          ? 'Work-in-progress commits must be finished or squashed'
+          : null;
+      }
+    },
+    'body-max-line-length': {
+      options: { max: 100 },
+      check: (ctx, { max }) => {
+        // Lines with a URL can't be wrapped
+        const long = ctx.message.split('\n').slice(1)
+          .filter(line => line.length > max && !/\w+:\/\/\S+/.test(line));
+        return long.length > 0
+          ? `${long.length} body line${long.length === 1 ? ' is' : 's are'} longer than ${max} characters`
+          : null;
+      }
+    }
+  },
+  
+  // Heuristic: an -ed, -ing or -s first word is probably not imperative
+  looksNonImperative: word => {
+    const lower = word.toLowerCase();
+    if (!/^[A-Za-z][a-z]+$/.test(word) || commitLint.imperativeExceptions.includes(lower)) return false;
+    return /(ed|ing)$/.test(lower) || /[^sui]s$/.test(lower);
+  },
+  
+  // Rules with their configured severity and options
+  settings: config => Object.keys(commitLint.rules).map(name => {
+    const configured = (config.commits.rules || {})[name];
+    const setting = typeof configured === 'string' ? { severity: configured } : configured || {};
+    return { ...commitLint.rules[name].options, severity: 'off', ...setting, name };
+  }),
+  
+  // Rule names in the config that don't exist
+  unknownRules: config =>
+    Object.keys(config.commits.rules || {}).filter(name => !commitLint.rules[name]),
+  
+  // Problems with one commit message
+  lintMessage: (config, message) => {
+    const text = (message || '').replace(/\r\n/g, '\n').replace(/\s+$/, '');
+    const header = text.split('\n')[0];
+    const match = header.match(conventionalCommits.headerRegex);
+    const ctx = {
+      config,
+      message: text,
+      header,
+      subject: match ? match[4] : header,
+      parsed: conventionalCommits.parse(text, config)
+    };
     
-    // If no previous version, use initial version from config
-    if (!latestTag) {
-      return config.versioning.initialVersion || '0.1.0';
+    return commitLint.settings(config)
+      .filter(rule => rule.severity !== 'off')
+      .map(rule => ({
+        rule: rule.name,
+        severity: rule.severity,
+        message: commitLint.rules[rule.name].check(ctx, rule)
+      }))
+      .filter(problem => problem.message);
+  },
+  
+  // Lint commits; merge commits are skipped
+  lintCommits: (config, commits) => {
+    const results = commits
+      .filter(commit => !commitLint.ignored.test(commit.message || commit.subject))
+      .map(commit => ({
+        hash: commit.hash,
+        subject: commit.subject,
+        problems: commitLint.lintMessage(config, commit.message || commit.subject)
+      }));
+    const count = severity => results
+      .reduce((sum, result) => sum + result.problems.filter(p => p.severity === severity).length, 0);
+    
+    return { results, errors: count('error'), warnings: count('warning') };
+  }
+};
+
+// ========== CI Status ==========
+
+const ciStatus = {
+  // Provider states mapped onto success, failure and pending
+  states: {
+    success: ['success', 'succeeded', 'passed', 'pass', 'ok'],
+    failure: ['failure', 'failed', 'fail', 'error', 'errored', 'cancelled', 'canceled', 'timed_out'],
+    pending: ['pending', 'queued', 'running', 'in_progress', 'started', 'waiting']
+  },
+  
+  // Normalise a provider state; anything unknown counts as a failure
+  normalize: state => {
+    const value = String(state).toLowerCase();
+    return Object.keys(ciStatus.states).find(key => ciStatus.states[key].includes(value)) || 'failure';
+  },
+  
+  // Statuses keyed by check from `{ "lint": "success", "test": { "state": "failure", "url": "..." } }`
+  fromChecks: checks =>
+    Object.keys(checks || {}).reduce((acc, name) => {
+      const entry = checks[name];
+      const status = entry && typeof entry === 'object' ? entry : { state: entry };
+      return { ...acc, [name]: { state: ciStatus.normalize(status.state), url: status.url || '' } };
+    }, {}),
+  
+  // GET a URL with node's http or https module, following redirects.
+  // Resolves to { status, statusText, body } and rejects on network errors and timeouts
+  get: (target, headers, timeoutMs, redirects = 5) => new Promise((resolve, reject) => {
+    const client = target.startsWith('https:') ? require('https') : require('http');
+    const request = client.get(target, { headers }, response => {
+      const { statusCode, statusMessage, headers: responseHeaders } = response;
+      if (statusCode >= 300 && statusCode < 400 && responseHeaders.location && redirects > 0) {
+        response.resume();
+        resolve(ciStatus.get(new URL(responseHeaders.location, target).toString(), headers, timeoutMs, redirects - 1));
+        return;
+      }
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({ status: statusCode, statusText: statusMessage, body }));
+      response.on('error', reject);
+    });
+    const timer = setTimeout(() => request.destroy(new Error(`timed out after ${timeoutMs / 1000}s`)), timeoutMs);
+    request.on('error', reject);
+    request.on('close', () => clearTimeout(timer));
+  }),
+  
+  // Providers resolve to { statuses } or { error } for a commit
+  providers: {
+    // A JSON file written by the pipeline: { commit, checks }, or an array of them
+    file: async (config, commit) => {
+      const file = config.verification.ci.file;
+      const content = fs.readFile(file);
+      if (content === null) return { statuses: {} };
+      
+      const data = safeParse(null)(content);
+      if (!data) return { error: `${file} is not valid JSON` };
+      const entries = [].concat(data).filter(entry => entry && entry.commit && commit.startsWith(entry.commit));
+      return { statuses: entries.reduce((acc, entry) => ({ ...acc, ...ciStatus.fromChecks(entry.checks) }), {}) };
+    },
+    
+    // An HTTP endpoint answering { checks } as JSON; 404 means nothing is reported yet
+    http: async (config, commit) => {
+      const { url, headers = {}, timeout = 10 } = config.verification.ci;
+      if (!url) return { error: 'verification.ci.url is not set' };
+      
+      const expand = value => String(value).replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+      const requestHeaders = Object.keys(headers)
+        .reduce((acc, name) => ({ ...acc, [name]: expand(headers[name]) }), { Accept: 'application/json' });
+      const target = url.replace('{commit}', commit);
+      
+      try {
+        const response = await ciStatus.get(target, requestHeaders, timeout * 1000);
+        if (response.status === 404) return { statuses: {} };
+        if (response.status < 200 || response.status > 299) {
+          return { error: `${target} answered ${response.status} ${response.statusText}` };
+        }
+        const data = JSON.parse(response.body);
+        return { statuses: ciStatus.fromChecks(data.checks) };
+      } catch (e) {
+        return { error: `Could not read CI status from ${target}: ${e.message}` };
+      }
+    },
+    
+    // Git notes on the commit, merged with the remote's when it has them; later lines win
+    'git-notes': async (config, commit) => {
+      const ref = config.verification.ci.notesRef || 'ci';
+      gitOps.fetchNotes(ref);
+      const note = gitOps.getNote(ref, commit) || '';
+      const checks = note.split('\n')
+        .map(line => line.trim().match(/^([\w.-]+)\s*=\s*(\S+)(?:\s+(\S+))?$/))
+        .filter(Boolean)
+        .reduce((acc, [, name, state, url]) => ({ ...acc, [name]: { state, url } }), {});
+      return { statuses: ciStatus.fromChecks(checks) };
     }
+  },
+  
+  // Status of each required check on a commit; checks nobody reported are `missing`
+  lookup: async (config, commit) => {
+    const { provider } = config.verification.ci;
+    const lookupStatuses = ciStatus.providers[provider];
+    if (!lookupStatuses) return { error: `Unknown CI provider: ${provider}` };
     
-    // Strip prefix if present
-    const tagPrefix = config.release.tagPrefix || 'v';
-    const currentVersion = latestTag.startsWith(tagPrefix) 
-      ? latestTag.substring(tagPrefix.length) 
-      : latestTag;
+    const result = await lookupStatuses(config, commit);
+    if (result.error) return result;
     
-    // If using conventional commits, analyze commit types
-    if (config.verification.enforceConventionalCommits && commits.length > 0) {
-      const bumpType = conventionalCommits.analyzeBumpType(commits);
-      return semver.increment[bumpType](currentVersion);
+    return {
+      checks: config.verification.requiredCIChecks.map(name => ({
+        name,
+        ...(result.statuses[name] || { state: 'missing', url: '' })
+      }))
+    };
+  },
+  
+  // Look up the checks, polling while some are pending or missing for up to `wait` seconds.
+  // A wait that is not a finite, positive number means a single lookup
+  check: async (config, commit, wait = config.verification.ci.wait || 0) => {
+    const deadline = Date.now() + (Number.isFinite(wait) && wait > 0 ? wait * 1000 : 0);
+    const interval = (config.verification.ci.pollInterval || 15) * 1000;
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    
+    const poll = async () => {
+      const result = await ciStatus.lookup(config, commit);
+      const unsettled = result.error
+        ? []
+        : result.checks.filter(check => ['pending', 'missing'].includes(check.state));
+      if (unsettled.length === 0 || Date.now() + interval > deadline) return result;
+      
+      cli.progress(`Waiting for CI checks: ${unsettled.map(check => check.name).join(', ')}`);
+      await sleep(interval);
+      return poll();
+    };
+    return poll();
+  }
+};
+
+// ========== Approvals ==========
+
+const approvalOps = {
+  // Commit a version's approvals apply to: its tag, or the tip of its release branch
+  target: (config, version) => {
+    const tag = versioning.toTag(config, version);
+    if (gitOps.tagExists(tag)) return readGit('rev-list', '-n', '1', tag);
+    return gitOps.resolve(`${config.repository.releasePrefix}${version}`);
+  },
+  
+  // Email of the release author: who made the release commit on the branch, else who made the commit
+  author: (config, commit) =>
+    readGit('log', '-1', '--format=%ae', '--grep=^chore(release): ', `${config.repository.mainBranch}..${commit}`) ||
+    readGit('log', '-1', '--format=%ae', commit) ||
+    '',
+  
+  // Approvals recorded on a commit, one JSON record per note line
+  list: (config, commit) =>
+    (gitOps.getNote(config.workflow.approvalsRef, commit) || '')
+      .split('\n')
+      .map(line => safeParse(null)(line.trim()))
+      .filter(record => record && record.email),
+  
+  // Distinct approvers of a commit, leaving out the release author
+  status: (config, commit) => {
+    const author = approvalOps.author(config, commit).toLowerCase();
+    const approvals = approvalOps.list(config, commit)
+      .filter((record, i, all) =>
+        all.findIndex(other => other.email.toLowerCase() === record.email.toLowerCase()) === i)
+      .filter(record => record.email.toLowerCase() !== author);
+    const required = config.workflow.requiredApprovals || 0;
+    return { commit, author, required, approvals, satisfied: approvals.length >= required };
+  },
+  
+  // Record the git user's approval of a version and share it with the remote
+  approve: (config, version) => {
+    const commit = approvalOps.target(config, version);
+    if (!commit) {
+      return { success: false, error: `No tag or ${config.repository.releasePrefix}${version} branch for ${version}` };
     }
     
-    // Default to patch increment
-    return semver.increment.patch(currentVersion);
+    const name = gitOps.getConfig('user.name') || '';
+    const email = gitOps.getConfig('user.email');
+    if (!email) return { success: false, error: 'Set git user.email to approve releases' };
+    
+    const ref = config.workflow.approvalsRef;
+    gitOps.fetchNotes(ref);
+    if (approvalOps.author(config, commit).toLowerCase() === email.toLowerCase()) {
+      return { success: false, error: `You are the author of release ${version} and cannot approve it` };
+    }
+    if (approvalOps.list(config, commit).some(record => record.email.toLowerCase() === email.toLowerCase())) {
+      return { success: false, error: `You already approved ${version} at ${commit.substring(0, 7)}` };
+    }
+    
+    const approval = { version, commit, name, email, date: new Date().toISOString() };
+    const note = gitOps.appendNote(ref, commit, JSON.stringify(approval));
+    if (!note.success) {
+      return { success: false, error: gitError(`Failed to record the approval on ${commit.substring(0, 7)}`, note) };
+    }
+    
+    return {
+      success: true,
+      approval,
+      pushed: gitOps.pushNotes(ref).success,
+      status: approvalOps.status(config, commit)
+    };
+  },
+  
+  // Why a commit can't be released yet, or null when it has enough approvals
+  explain: status => {
+    if (status.satisfied) return null;
+    const names = status.approvals.map(record => record.name || record.email);
+    return `Release commit ${status.commit.substring(0, 7)} has ${status.approvals.length} of ${status.required} required approvals` +
+      `${names.length > 0 ? ` (${names.join(', ')})` : ''}; the release author ${status.author} does not count`;
+  }
+};
+
+// ========== Workflow Stages ==========
+
+const stageOps = {
+  // Promotions recorded on a release commit, oldest first
+  history: (config, commit) =>
+    (gitOps.getNote(config.workflow.stagesRef, commit) || '')
+      .split('\n')
+      .map(line => safeParse(null)(line.trim()))
+      .filter(record => record && record.stage)
+      .sort((a, b) => a.date.localeCompare(b.date)),
+  
+  // Stage of a release: its last promotion, or the first stage
+  current: (config, commit) => {
+    const history = stageOps.history(config, commit);
+    return history.length > 0 ? history[history.length - 1].stage : config.workflow.stages[0];
+  },
+  
+  // Stage after the current one, or null at the last stage
+  next: (config, stage) => config.workflow.stages[config.workflow.stages.indexOf(stage) + 1] || null,
+  
+  // Requirements for entering a stage
+  requirements: (config, stage) => (config.workflow.stageRequirements || {})[stage] || {},
+  
+  // Requirements of a stage the release doesn't meet yet
+  unmet: async (config, version, commit, stage) => {
+    const requirements = stageOps.requirements(config, stage);
+    const problems = [];
+    
+    if (requirements.tagged && !gitOps.tagExists(versioning.toTag(config, version))) {
+      problems.push(`${version} must be finalized before it enters ${stage}`);
+    }
+    
+    if (requirements.approvals > 0) {
+      gitOps.fetchNotes(config.workflow.approvalsRef);
+      const status = approvalOps.status(
+        { ...config, workflow: { ...config.workflow, requiredApprovals: requirements.approvals } },
+        commit
+      );
+      if (!status.satisfied) problems.push(approvalOps.explain(status));
+    }
+    
+    if ((requirements.ciChecks || []).length > 0) {
+      const result = await ciStatus.check(
+        { ...config, verification: { ...config.verification, requiredCIChecks: requirements.ciChecks } },
+        commit,
+        0
+      );
+      if (result.error) problems.push(result.error);
+      (result.checks || [])
+        .filter(check => check.state !== 'success')
+        .forEach(check => problems.push(`CI check '${check.name}' is ${check.state === 'failure' ? 'failing' : check.state}`));
+    }
+    
+    return problems;
+  },
+  
+  // Move a release to the next stage once the stage's requirements are met
+  promote: async (config, version, stage) => {
+    const commit = approvalOps.target(config, version);
+    if (!commit) {
+      return { success: false, error: `No tag or ${config.repository.releasePrefix}${version} branch for ${version}` };
+    }
+    
+    const email = gitOps.getConfig('user.email');
+    if (!email) return { success: false, error: 'Set git user.email to promote releases' };
+    
+    const ref = config.workflow.stagesRef;
+    gitOps.fetchNotes(ref);
+    const from = stageOps.current(config, commit);
+    const progression = verifyOps.verifyWorkflowStage(from, stage);
+    if (!progression.success) return progression;
+    
+    const problems = await stageOps.unmet(config, version, commit, stage);
+    if (problems.length > 0) {
+      return { success: false, error: `${version} cannot enter ${stage} yet`, problems };
+    }
+    
+    const record = { version, commit, stage, from, name: gitOps.getConfig('user.name') || '', email, date: new Date().toISOString() };
+    const note = gitOps.appendNote(ref, commit, JSON.stringify(record));
+    if (!note.success) {
+      return { success: false, error: gitError(`Failed to record the promotion on ${commit.substring(0, 7)}`, note) };
+    }
+    
+    return { success: true, record, pushed: gitOps.pushNotes(ref).success };
   }
 };
 
 // ========== Verification ==========
 
 const verifyOps = {
+  tailLines: 20,
+  
+  // Verification commands; a string is shorthand for { run }
+  commandSpecs: config => {
+    const commands = config.verification.commands || {};
+    return Object.keys(commands)
+      .filter(name => commands[name])
+      .map(name => ({
+        name,
+        cwd: '.',
+        env: {},
+        timeout: 0,
+        expectedExitCode: 0,
+        ...(typeof commands[name] === 'string' ? { run: commands[name] } : commands[name])
+      }));
+  },
+  
+  // Run a command with its output streamed through, keeping the end of it for failure reports
+  runCommand: spec => new Promise(resolve => {
+    const started = Date.now();
+    let output = '';
+    let timedOut = false;
+    const keep = chunk => {
+      output = (output + chunk).slice(-16 * 1024);
+    };
+    
+    const finish = (exitCode, signal, error) => {
+      clearTimeout(timer);
+      resolve({
+        name: spec.name,
+        run: spec.run,
+        success: !timedOut && !error && exitCode === spec.expectedExitCode,
+        exitCode,
+        expectedExitCode: spec.expectedExitCode,
+        signal,
+        timedOut,
+        timeout: spec.timeout,
+        error,
+        duration: Date.now() - started,
+        tail: output.replace(/\s+$/, '').split('\n').slice(-verifyOps.tailLines)
+      });
+    };
+    
+    // spawn reports a missing cwd as a missing shell, so check it first
+    let timer = null;
+    if (!fs.fileExists(spec.cwd)) {
+      finish(null, null, `working directory ${spec.cwd} does not exist`);
+      return;
+    }
+    
+    // Own process group, so a timeout stops everything the command started
+    const child = require('child_process').spawn(spec.run, {
+      shell: true,
+      cwd: spec.cwd,
+      env: { ...process.env, ...spec.env },
+      detached: process.platform !== 'win32'
+    });
+    child.stdout.on('data', chunk => {
+      (cli.json ? process.stderr : process.stdout).write(chunk);
+      keep(chunk);
+    });
+    child.stderr.on('data', chunk => {
+      process.stderr.write(chunk);
+      keep(chunk);
+    });
+    
+    if (spec.timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, 'SIGTERM');
+        } catch (e) {
+          child.kill('SIGTERM');
+        }
+      }, spec.timeout * 1000);
+    }
+    
+    child.on('error', error => finish(null, null, error.message));
+    child.on('close', (code, signal) => finish(code, signal, null));
+  }),
+  
+  // Seconds with one decimal, e.g. `3.2s`
+  formatDuration: ms => `${(ms / 1000).toFixed(1)}s`,
+  
+  // Failure message of a command with the last lines of its output
+  describeFailure: command => {
+    const took = verifyOps.formatDuration(command.duration);
+    const reason = command.error
+      ? `could not run: ${command.error}`
+      : command.timedOut
+        ? `timed out after ${command.timeout}s`
+        : command.signal
+          ? `was killed by ${command.signal} after ${took}`
+          : `exited with code ${command.exitCode} after ${took} (expected ${command.expectedExitCode})`;
+    const tail = command.tail.filter(Boolean).length > 0
+      ? `\n    Last lines of output:\n${command.tail.map(line => `      ${line}`).join('\n')}`
+      : '';
+    return `Command '${command.name}' ${reason}${tail}`;
+  },
+  
   // Verify release requirements
-  verifyRelease: () => {
+  verifyRelease: async ({ wait } = {}) => {
     const config = configOps.load();
     const results = {
       clean: false,
       tests: false,
+      commands: [],
       ci: false,
+      ciChecks: [],
+      history: false,
       commits: false,
+      versionFiles: false,
+      changelog: false,
+      approvals: false,
+      approvalStatus: null,
       overall: false,
       messages: []
     };
@@ -576,63 +3174,153 @@ const verifyOps = {
       results.clean = true;
     }
     
-    // Check for required tests
+    // Run the verification commands (tests, lint, build)
     if (config.verification.requiredTests) {
-          // TEMPORARY: Skip test verification until debugging complete
-          console.log('DEBUG: Skipping test verification');
-          results.tests = true;
-          // Original code:
-          // const testOutput = execCommand('npm test || echo "FAILED"');
-          // results.tests = testOutput && !testOutput.includes('FAILED');
-          // if (!results.tests) {
-          //   results.messages.push('Tests failed or were not run');
-      // }
+      for (const spec of verifyOps.commandSpecs(config)) {
+        cli.progress(`▶ ${spec.name}: ${spec.run}`);
+        results.commands.push(await verifyOps.runCommand(spec));
+      }
+      results.tests = results.commands.every(command => command.success);
+      results.commands
+        .filter(command => !command.success)
+        .forEach(command => results.messages.push(verifyOps.describeFailure(command)));
     } else {
       results.tests = true;
     }
     
-    // Check CI checks
+    // Check CI status of the release commit
     if (config.verification.requiredCIChecks.length > 0) {
-      // This would normally check CI status, but we'll simulate
-      results.ci = true;
-      config.verification.requiredCIChecks.forEach(check => {
-        // In a real implementation, this would check actual CI status
-        const checkStatus = true; // Simulate all passing
-        if (!checkStatus) {
-          results.ci = false;
-          results.messages.push(`CI check '${check}' failed`);
-        }
+      const commit = readGit('rev-parse', 'HEAD') || '';
+      const status = await ciStatus.check(config, commit, wait);
+      results.ciChecks = status.checks || [];
+      results.ci = !status.error && results.ciChecks.every(check => check.state === 'success');
+      if (status.error) {
+        results.messages.push(status.error);
+      }
+      results.ciChecks.forEach(check => {
+        const link = check.url ? ` (${check.url})` : '';
+        if (check.state === 'failure') results.messages.push(`CI check '${check.name}' failed${link}`);
+        if (check.state === 'pending') results.messages.push(`CI check '${check.name}' is still pending${link}`);
+        if (check.state === 'missing') results.messages.push(`CI check '${check.name}' has no status for ${commit.substring(0, 7)}`);
       });
     } else {
       results.ci = true;
     }
     
+    // Check for merges and branches that are behind
+    if (config.workflow.enforceLinearHistory) {
+      const problems = verifyOps.linearHistory(config);
+      results.history = problems.length === 0;
+      problems.forEach(problem => results.messages.push(problem));
+    } else {
+      results.history = true;
+    }
+    
     // Check conventional commits compliance
     if (config.verification.enforceConventionalCommits) {
-      const latestTag = gitOps.getLatestTag();
+      const latestTag = releaseTags.latest(config);
       const commits = latestTag ? gitOps.getCommitsSinceTag(latestTag) : [];
       
-      const nonCompliantCommits = commits.filter(
-        commit => !conventionalCommits.parse(commit.subject)
-      );
+      const lint = commitLint.lintCommits(config, commits);
+      const failing = lint.results.filter(result => result.problems.some(p => p.severity === 'error'));
       
-      results.commits = nonCompliantCommits.length === 0;
+      results.commits = failing.length === 0;
       if (!results.commits) {
-        results.messages.push(`${nonCompliantCommits.length} commits do not follow conventional commits format`);
-        nonCompliantCommits.forEach(commit => {
-          results.messages.push(`- ${commit.hash}: ${commit.subject}`);
+        results.messages.push(`${failing.length} commits break the commit rules`);
+        failing.forEach(result => {
+          result.problems
+            .filter(problem => problem.severity === 'error')
+            .forEach(problem => results.messages.push(`${result.hash}: ${problem.message} (${problem.rule})`));
         });
       }
     } else {
       results.commits = true;
     }
     
+    // Check version files against the version of the release branch
+    const branch = gitOps.getCurrentBranch() || '';
+    const releasePrefix = config.repository.releasePrefix;
+    const onReleaseBranch = Boolean(releasePrefix) && branch.startsWith(releasePrefix);
+    if (!config.monorepo.enabled && onReleaseBranch) {
+      const version = branch.substring(releasePrefix.length);
+      const mismatches = versionFiles.mismatches(config, version);
+      results.versionFiles = mismatches.length === 0;
+      mismatches.forEach(({ file, found }) => {
+        results.messages.push(found.length > 0
+          ? `${file} has version ${found.join(', ')}, expected ${version}`
+          : `${file} does not contain a version, expected ${version}`);
+      });
+    } else {
+      results.versionFiles = true;
+    }
+    
+    // Check the changelog entry of a signed-off release commit, which finalize can't update
+    if (!config.monorepo.enabled && onReleaseBranch && config.release.generateChangelog && changelogOps.locked(config)) {
+      const version = branch.substring(releasePrefix.length);
+      const commits = gitOps.getCommitsSinceTag(releaseTags.previous(config, version));
+      results.changelog = !changelogOps.stale(config, version, commits);
+      if (!results.changelog) results.messages.push(changelogOps.staleError(config, version, branch));
+    } else {
+      results.changelog = true;
+    }
+    
+    // Check sign-offs on the commit a release branch will tag
+    if (config.verification.requiredReviews && config.workflow.requiredApprovals > 0 && onReleaseBranch) {
+      gitOps.fetchNotes(config.workflow.approvalsRef);
+      const status = approvalOps.status(config, readGit('rev-parse', 'HEAD') || 'HEAD');
+      results.approvals = status.satisfied;
+      results.approvalStatus = status;
+      if (!status.satisfied) results.messages.push(approvalOps.explain(status));
+    } else {
+      results.approvals = true;
+    }
+    
     // Overall verification result
-    results.overall = results.clean && results.tests && results.ci && results.commits;
+    results.overall = results.clean && results.tests && results.ci && results.history && results.commits &&
+      results.versionFiles && results.changelog && results.approvals;
     
     return results;
   },
   
+  // Linear history problems: merges since the latest release, a release branch
+  // that doesn't contain its base branch, and a branch behind its remote
+  linearHistory: config => {
+    const branch = gitOps.getCurrentBranch() || '';
+    const releasePrefix = config.repository.releasePrefix;
+    const describe = commit => `${commit.hash} ${commit.subject}`;
+    const onReleaseBranch = Boolean(releasePrefix) && branch.startsWith(releasePrefix);
+    const line = onReleaseBranch ? releaseLines.current(config) : null;
+    const baseBranch = line ? line.branch : config.repository.mainBranch;
+    
+    // Fetch only the branches compared below; one the remote doesn't have is skipped.
+    // Remote-tracking branches are compared as last fetched in a dry run
+    [onReleaseBranch ? baseBranch : null, branch || null]
+      .filter(Boolean)
+      .forEach(name => gitOps.fetchBranch(name));
+    
+    // The first release covers all history up to HEAD
+    const latestTag = releaseTags.latest(config);
+    const merges = gitOps.getCommits(['--merges', latestTag ? `${latestTag}..HEAD` : 'HEAD']);
+    const problems = merges.map(commit => `Merge commit in the release range: ${describe(commit)}`);
+    
+    // A release branch must contain everything on the branch it was cut from
+    if (onReleaseBranch) {
+      const base = gitOps.remoteBranch(baseBranch) || baseBranch;
+      gitOps.getCommits([`HEAD..${base}`]).forEach(commit => {
+        problems.push(`${branch} is not a fast-forward of ${baseBranch}; it lacks ${describe(commit)}`);
+      });
+    }
+    
+    const upstream = branch ? gitOps.remoteBranch(branch) : null;
+    if (upstream) {
+      gitOps.getCommits([`HEAD..${upstream}`]).forEach(commit => {
+        problems.push(`${branch} is behind ${upstream.replace('refs/remotes/', '')}; pull ${describe(commit)}`);
+      });
+    }
+    
+    return problems;
+  },
+  
   // Verify workflow progression
   verifyWorkflowStage: (fromStage, toStage) => {
     const config = configOps.load();
@@ -674,10 +3362,10 @@ const verifyOps = {
 const rollbackOps = {
   // List available rollback points
   listRollbackPoints: () => {
-    const tags = gitOps.getAllTags();
+    const tags = releaseTags.list(configOps.load());
     return tags.map(tag => {
-      const commit = execCommand(`git rev-list -n 1 ${tag}`);
-      const date = execCommand(`git log -1 --format=%cd --date=iso ${commit}`);
+      const commit = readGit('rev-list', '-n', '1', tag);
+      const date = readGit('log', '-1', '--format=%cd', '--date=iso', commit);
       return { tag, commit, date };
     });
   },
@@ -695,22 +3383,22 @@ const rollbackOps = {
     
     // Create a rollback branch
     const rollbackBranch = `rollback-to-${tag}-${Date.now()}`;
-    const branchSuccess = gitOps.createBranch(rollbackBranch);
+    const branch = gitOps.createBranch(rollbackBranch);
     
-    if (!branchSuccess) {
+    if (!branch.success) {
       return {
         success: false,
-        error: `Failed to create rollback branch ${rollbackBranch}`
+        error: gitError(`Failed to create rollback branch ${rollbackBranch}`, branch)
       };
     }
     
     // Reset to tag
-    const resetSuccess = execCommand(`git reset --hard ${tag}`) !== null;
+    const reset = mutateGit(['reset', '-q', '--hard', tag]);
     
-    if (!resetSuccess) {
+    if (!reset.success) {
       return {
         success: false,
-        error: `Failed to reset to tag ${tag}`
+        error: gitError(`Failed to reset to tag ${tag}`, reset)
       };
     }
     
@@ -735,46 +3423,294 @@ const rollbackOps = {
     }
     
     // Extract version from tag
-    const tagPrefix = config.release.tagPrefix || 'v';
-    const version = tag.startsWith(tagPrefix) 
-      ? tag.substring(tagPrefix.length) 
-      : tag;
+    const scheme = versioning.scheme(config);
+    const version = versioning.fromTag(config, tag);
+    
+    // Bump the hotfix counter until it lands on an unreleased version
+    let nextVersion = scheme.hotfix(version);
+    while (nextVersion && tags.includes(versioning.toTag(config, nextVersion))) {
+      nextVersion = scheme.hotfix(nextVersion);
+    }
+    
+    if (!nextVersion) {
+      return {
+        success: false,
+        error: `Could not parse ${scheme.name} version from tag ${tag}`
+      };
+    }
+    
+    // Create hotfix branch
+    const hotfixBranch = `${config.repository.hotfixPrefix}${nextVersion}`;
+    
+    // Checkout tag and create branch
+    const checkout = mutateGit(['checkout', '-q', tag]);
+    if (!checkout.success) {
+      return {
+        success: false,
+        error: gitError(`Failed to checkout tag ${tag}`, checkout)
+      };
+    }
+    
+    const branch = gitOps.createBranch(hotfixBranch);
+    if (!branch.success) {
+      return {
+        success: false,
+        error: gitError(`Failed to create hotfix branch ${hotfixBranch}`, branch)
+      };
+    }
+    releaseLines.record(hotfixBranch, releaseLines.forVersion(config, version));
+    
+    return {
+      success: true,
+      branch: hotfixBranch,
+      baseTag: tag,
+      version: nextVersion
+    };
+  }
+};
+
+// ========== Git Hooks ==========
+
+const hooksOps = {
+  names: ['commit-msg', 'pre-push'],
+  marker: '# gitrelease hook',
+  chainSuffix: '.pre-gitrelease',
+  zeroSha: /^0+$/,
+  
+  // Messages git writes itself, or that autosquash rewrites before they are pushed
+  skipped: /^(Merge |fixup! |squash! |amend! )/,
+  
+  // Hooks directory, honouring core.hooksPath
+  dir: () => gitOps.gitPath('hooks'),
+  
+  // Hook script: runs the hook it replaced first, then calls back into gitrelease
+  script: name => {
+    const run = [process.execPath, require('path').resolve(__filename)].map(shellQuote).join(' ');
+    const chained = `"$0${hooksOps.chainSuffix}"`;
+    const body = name === 'pre-push'
+      ? [
+        '# The pushed refs arrive on stdin, so both hooks get a copy',
+        'input=$(cat)',
+        `if [ -x ${chained} ]; then printf '%s\\n' "$input" | ${chained} "$@" || exit $?; fi`,
+        `printf '%s\\n' "$input" | ${run} hooks run ${name} "$@"`
+      ]
+      : [
+        `if [ -x ${chained} ]; then ${chained} "$@" || exit $?; fi`,
+        `exec ${run} hooks run ${name} "$@"`
+      ];
+    return ['#!/bin/sh', `${hooksOps.marker}: ${name} (remove with \`gitrelease hooks uninstall\`)`]
+      .concat(body)
+      .join('\n') + '\n';
+  },
+  
+  // Whether a hook file was written by gitrelease
+  isInstalled: file => (fs.readFile(file) || '').includes(hooksOps.marker),
+  
+  // Install the hooks; an existing hook is moved aside and chained
+  install: () => {
+    const dir = hooksOps.dir();
+    if (!dir) return { success: false, error: 'Not a git repository' };
+    if (!fs.makeDir(dir)) return { success: false, error: `Failed to create hooks directory ${dir} (check core.hooksPath)` };
+    
+    const hooks = hooksOps.names.map(name => {
+      const file = `${dir}/${name}`;
+      const backup = `${file}${hooksOps.chainSuffix}`;
+      const foreign = fs.fileExists(file) && !hooksOps.isInstalled(file);
+      
+      if (foreign && fs.fileExists(backup)) {
+        return { name, error: `${file} exists and ${backup} is already taken` };
+      }
+      if (foreign && !fs.moveFile(file, backup)) {
+        return { name, error: `Failed to move ${file} to ${backup}` };
+      }
+      if (!fs.writeFile(file, hooksOps.script(name)) || !fs.makeExecutable(file)) {
+        return { name, error: `Failed to write ${file}` };
+      }
+      return { name, file, chained: fs.fileExists(backup) ? backup : null };
+    });
+    
+    const failed = hooks.find(hook => hook.error);
+    return failed
+      ? { success: false, error: failed.error, hooks }
+      : { success: true, dir, hooks };
+  },
+  
+  // Remove the hooks and restore the ones they replaced
+  uninstall: () => {
+    const dir = hooksOps.dir();
+    if (!dir) return { success: false, error: 'Not a git repository' };
+    
+    const hooks = hooksOps.names.map(name => {
+      const file = `${dir}/${name}`;
+      const backup = `${file}${hooksOps.chainSuffix}`;
+      if (!hooksOps.isInstalled(file)) return { name, file, removed: false };
+      if (!fs.removeFile(file)) return { name, error: `Failed to remove ${file}` };
+      return { name, file, removed: true, restored: fs.fileExists(backup) && fs.moveFile(backup, file) };
+    });
+    
+    const failed = hooks.find(hook => hook.error);
+    return failed
+      ? { success: false, error: failed.error, hooks }
+      : { success: true, dir, hooks };
+  },
+  
+  // The message git will record: comment lines and anything below the scissors line dropped
+  cleanMessage: message => {
+    const configured = gitOps.getConfig('core.commentChar');
+    const comment = configured && configured !== 'auto' ? configured : '#';
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+    const scissors = lines.indexOf(`${comment} ------------------------ >8 ------------------------`);
+    return (scissors < 0 ? lines : lines.slice(0, scissors))
+      .filter(line => !line.startsWith(comment))
+      .join('\n')
+      .trim();
+  },
+  
+  // Check the message file passed to the commit-msg hook
+  checkMessage: (config, file) => {
+    const raw = fs.readFile(file);
+    if (raw === null) return { success: false, error: `Cannot read commit message file ${file}` };
+    
+    const message = hooksOps.cleanMessage(raw);
+    if (hooksOps.skipped.test(message)) return { success: true, problems: [] };
+    
+    const problems = commitLint.lintMessage(config, message);
+    return {
+      success: !problems.some(problem => problem.severity === 'error'),
+      header: message.split('\n')[0],
+      problems
+    };
+  },
+  
+  // Check the commits a push would add to the remote, from the pre-push hook's stdin
+  checkPush: (config, remote, input) => {
+    const zero = hooksOps.zeroSha;
+    const commits = input.split('\n')
+      .map(line => line.trim().split(/\s+/))
+      .filter(fields => fields.length === 4)
+      .filter(([localRef, localSha]) => !zero.test(localSha) && !localRef.startsWith('refs/tags/'))
+      .flatMap(([, localSha, , remoteSha]) => {
+        const known = !zero.test(remoteSha) && runGit(['cat-file', '-e', `${remoteSha}^{commit}`]).success;
+        return gitOps.getCommits(['--no-merges', localSha, '--not', ...(known ? [remoteSha] : []), `--remotes=${remote}`]);
+      })
+      .filter((commit, i, all) => all.findIndex(c => c.fullHash === commit.fullHash) === i);
     
-    // Parse version and increment patch
-    const nextVersion = semver.increment.patch(version);
-    if (!nextVersion) {
-      return {
-        success: false,
-        error: `Could not parse version from tag ${tag}`
-      };
-    }
+    const lint = commitLint.lintCommits(config, commits);
+    const failures = lint.results.filter(result => result.problems.some(p => p.severity === 'error'));
+    return { success: failures.length === 0, commits, failures };
+  }
+};
+
+// ========== CLI Arguments ==========
+
+const cliArgs = {
+  // Parse arguments against option specs ({ name, short, type, choices }). Handles
+  // `--name value`, `--name=value`, `-x value`, grouped short booleans (`-nv`) and `--`.
+  // Types: boolean, string, number, and list (repeatable and comma-separated).
+  // Returns { positional, options, errors }
+  parse: (argv, specs) => {
+    const positional = [];
+    const options = {};
+    const errors = [];
     
-    // Create hotfix branch
-    const hotfixBranch = `${config.repository.hotfixPrefix}${nextVersion}`;
+    const set = (spec, flag, value) => {
+      if (spec.choices && !spec.choices.includes(value)) {
+        errors.push(`Invalid value for ${flag}: ${value} (use ${spec.choices.join(', ')})`);
+      } else if (spec.type === 'number' && (value.trim() === '' || isNaN(Number(value)))) {
+        errors.push(`${flag} needs a number, got ${value}`);
+      } else if (spec.type === 'list') {
+        options[spec.name] = (options[spec.name] || []).concat(value.split(',').map(item => item.trim()).filter(Boolean));
+      } else {
+        options[spec.name] = spec.type === 'number' ? Number(value) : value;
+      }
+    };
     
-    // Checkout tag and create branch
-    const checkoutSuccess = execCommand(`git checkout ${tag}`) !== null;
-    if (!checkoutSuccess) {
-      return {
-        success: false,
-        error: `Failed to checkout tag ${tag}`
-      };
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg === '--') {
+        positional.push(...argv.slice(i + 1));
+        break;
+      }
+      
+      if (arg.startsWith('--')) {
+        const eq = arg.indexOf('=');
+        const name = eq === -1 ? arg.substring(2) : arg.substring(2, eq);
+        const flag = `--${name}`;
+        const spec = specs.find(candidate => candidate.name === name);
+        if (!spec) {
+          errors.push(cliArgs.unknown(flag, specs.map(candidate => `--${candidate.name}`)));
+        } else if (spec.type === 'boolean') {
+          if (eq === -1) options[name] = true;
+          else errors.push(`${flag} does not take a value`);
+        } else if (eq !== -1) {
+          set(spec, flag, arg.substring(eq + 1));
+        } else if (i + 1 < argv.length) {
+          set(spec, flag, argv[++i]);
+        } else {
+          errors.push(`${flag} needs a value`);
+        }
+        continue;
+      }
+      
+      if (arg.startsWith('-') && arg.length > 1) {
+        for (let j = 1; j < arg.length; j++) {
+          const flag = `-${arg[j]}`;
+          const spec = specs.find(candidate => candidate.short === arg[j]);
+          if (!spec) {
+            errors.push(`Unknown option: ${flag}`);
+            break;
+          }
+          if (spec.type === 'boolean') {
+            options[spec.name] = true;
+            continue;
+          }
+          // A value option takes the rest of the group, or the next argument
+          const rest = arg.substring(j + 1);
+          if (rest) set(spec, flag, rest);
+          else if (i + 1 < argv.length) set(spec, flag, argv[++i]);
+          else errors.push(`${flag} needs a value`);
+          break;
+        }
+        continue;
+      }
+      
+      positional.push(arg);
     }
     
-    const branchSuccess = gitOps.createBranch(hotfixBranch);
-    if (!branchSuccess) {
-      return {
-        success: false,
-        error: `Failed to create hotfix branch ${hotfixBranch}`
-      };
+    return { positional, options, errors };
+  },
+  
+  // Edit distance between two strings
+  distance: (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const above = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+        diagonal = above;
+      }
     }
-    
-    return {
-      success: true,
-      branch: hotfixBranch,
-      baseTag: tag,
-      version: nextVersion
-    };
+    return row[b.length];
+  },
+  
+  // Candidate a mistyped name was meant to be: the only one it abbreviates,
+  // else the nearest within a third of its length. Null when nothing is close
+  suggest: (name, candidates) => {
+    const prefixed = candidates.filter(candidate => candidate.startsWith(name));
+    if (prefixed.length === 1) return prefixed[0];
+    const scored = candidates
+      .map(candidate => ({ candidate, distance: cliArgs.distance(name, candidate) }))
+      .filter(entry => entry.distance <= Math.max(1, Math.floor(name.length / 3)))
+      .sort((a, b) => a.distance - b.distance);
+    return scored.length > 0 ? scored[0].candidate : null;
+  },
+  
+  // Error for an unknown name, with a suggestion when one is close
+  unknown: (name, candidates, kind = 'option') => {
+    const suggestion = cliArgs.suggest(name, candidates);
+    return `Unknown ${kind}: ${name}${suggestion ? `. Did you mean ${suggestion}?` : ''}`;
   }
 };
 
@@ -794,171 +3730,397 @@ const commands = {
     const config = configOps.init(customConfig);
     
     if (!config) {
-      console.log('❌ Failed to initialize configuration');
-      return;
+      return cli.fail(cli.exitCodes.failure, 'Failed to initialize configuration');
     }
     
-    console.log('✅ Repository configured successfully');
-    console.log(`Repository: ${config.repository.name}`);
-    console.log(`Remote URL: ${config.repository.remoteUrl}`);
-    console.log(`Main branch: ${config.repository.mainBranch}`);
-    console.log(`Config saved to: ${configOps.configPath}`);
+    cli.say(
+      '✅ Repository configured successfully',
+      `Repository: ${config.repository.name}`,
+      `Remote URL: ${config.repository.remoteUrl}`,
+      `Main branch: ${config.repository.mainBranch}`,
+      `Config saved to: ${configOps.configPath}`
+    );
+    cli.done({ config, path: configOps.configPath });
   },
   
   // Customize configuration
   config: args => {
     if (args.length < 2) {
-      console.log('Usage: gitrelease config <path> <value>');
-      return;
+      return cli.usage('gitrelease config <path> <value>');
     }
     
     const [path, value] = args;
     const config = configOps.update(path, value);
     
     if (!config) {
-      console.log(`❌ Failed to update configuration at path: ${path}`);
-      return;
+      return cli.fail(cli.exitCodes.failure, `Failed to update configuration at path: ${path}`);
     }
     
-    console.log(`✅ Configuration updated: ${path} = ${value}`);
+    cli.say(`✅ Configuration updated: ${path} = ${value}`);
+    cli.done({ path, value });
   },
   
   // Display config
   showConfig: () => {
     const config = configOps.load();
-    console.log(JSON.stringify(config, null, 2));
+    cli.say(JSON.stringify(config, null, 2));
+    cli.done({ config });
   },
   
   // Prepare a new release
-  prepare: args => {
-    console.log('DEBUG: Starting prepare command...');
-
+  prepare: async (args, options) => {
+    if (configOps.load().monorepo.enabled) {
+      return commands.preparePackages(args, options);
+    }
+    cli.debug('Starting prepare command...');
+    
     // Calculate next version or use provided version
-    const version = args[0] || releaseOps.suggestNextVersion();
-    console.log(`DEBUG: Using version ${version}`);
+    const [requested] = args;
+    const plan = releaseOps.planNextVersion({ version: requested, pre: options.pre });
+    if (plan.error) {
+      return cli.fail(plan.usage ? cli.exitCodes.usage : cli.exitCodes.state, plan.error);
+    }
+    const version = plan.version;
+    cli.debug(`Using version ${version}`);
     
     // Verify requirements
-    console.log('DEBUG: Starting verification...');
-    const verification = verifyOps.verifyRelease();
-    console.log('DEBUG: Verification complete');
+    cli.debug('Starting verification...');
+    const verification = await verifyOps.verifyRelease();
+    cli.debug('Verification complete');
     
     if (!verification.overall) {
-      console.log('❌ Release verification failed:');
-      verification.messages.forEach(msg => console.log(`  - ${msg}`));
-      return;
+      return cli.fail(cli.exitCodes.verification, 'Release verification failed', { version, verification }, verification.messages);
     }
     
     // Prepare release
-    console.log('DEBUG: Starting release preparation...');
+    cli.debug('Starting release preparation...');
     const result = releaseOps.prepare(version);
-    console.log('DEBUG: Release preparation complete');
-        
+    cli.debug('Release preparation complete');
+    
     if (!result.success) {
-      console.log(`❌ Failed to prepare release: ${result.error}`);
-      return;
+      return cli.fail(cli.exitCodes.failure, `Failed to prepare release: ${result.error}`, { version });
     }
     
-    console.log(`✅ Release prepared successfully:`);
-    console.log(`Version: ${result.version}`);
-    console.log(`Branch: ${result.branch}`);
-    console.log(`Tag: ${result.tagName}`);
-    console.log('\nNext steps:');
-    console.log('1. Make any final adjustments');
-    console.log('2. Run tests and verification');
-    console.log('3. Finalize the release: gitrelease finalize');
+    cli.say(
+      `✅ Release prepared successfully:`,
+      `Version: ${result.version}`,
+      `Branch: ${result.branch}`
+    );
+    if (result.line) {
+      cli.say(`Release line: ${result.line}`);
+    }
+    cli.say(`Tag: ${result.tagName}`);
+    if (result.files.length > 0) {
+      cli.say(`Updated: ${result.files.join(', ')}`);
+    }
+    cli.say(
+      '\nNext steps:',
+      '1. Make any final adjustments',
+      '2. Run tests and verification',
+      '3. Finalize the release: gitrelease finalize'
+    );
+    cli.done({
+      version: result.version,
+      branch: result.branch,
+      tag: result.tagName,
+      line: result.line || null,
+      files: result.files
+    });
   },
   
   // Finalize a release
-  finalize: args => {
+  finalize: async (args, options) => {
     const config = configOps.load();
     const currentBranch = gitOps.getCurrentBranch();
     
+    // Continue an interrupted finalize; verification already passed when it started
+    if (options.resume) {
+      return commands.reportFinalize(releaseOps.resumeFinalize());
+    }
+    
+    const journal = finalizeJournal.read();
+    if (journal) {
+      cli.fail(cli.exitCodes.state, `Finalizing ${journal.version} was interrupted`, { version: journal.version });
+      cli.say('Run `gitrelease finalize --resume` to continue it or `gitrelease abort` to undo it');
+      return;
+    }
+    
     // Check if on a release branch
     if (!currentBranch.startsWith(config.repository.releasePrefix)) {
-      console.log(`❌ Not on a release branch. Current branch: ${currentBranch}`);
-      return;
+      return cli.fail(cli.exitCodes.state, `Not on a release branch. Current branch: ${currentBranch}`);
+    }
+    
+    if (config.monorepo.enabled) {
+      return commands.finalizePackages(args, options);
     }
     
     // Extract version from branch name
     const version = currentBranch.substring(config.repository.releasePrefix.length);
-    const tagName = `${config.release.tagPrefix || 'v'}${version}`;
+    const tagName = versioning.toTag(config, version);
+    
+    // Ensure the branch carries a version of the configured scheme
+    const scheme = versioning.scheme(config);
+    if (!scheme.parse(version)) {
+      return cli.fail(cli.exitCodes.state, `Version ${version} does not match the ${scheme.name} format ${scheme.format}`);
+    }
+    
+    // Refuse versions outside the release line this branch was cut from
+    const line = releaseLines.current(config);
+    if (line && !releaseLines.matches(line, version)) {
+      return cli.fail(cli.exitCodes.state, `Version ${version} does not belong to release line ${line.branch} (${line.versions})`);
+    }
     
     // Verify requirements
-    const verification = verifyOps.verifyRelease();
+    const verification = await verifyOps.verifyRelease();
     
     if (!verification.overall) {
-      console.log('❌ Final verification failed:');
-      verification.messages.forEach(msg => console.log(`  - ${msg}`));
-      return;
+      return cli.fail(cli.exitCodes.verification, 'Final verification failed', { version, verification }, verification.messages);
     }
     
     // Finalize release
-    const result = releaseOps.finalize({ version, tagName });
-    
+    commands.reportFinalize(releaseOps.finalize({ version, tagName }));
+  },
+  
+  // Print the outcome of finalize, including what was undone after a failure
+  reportFinalize: result => {
     if (!result.success) {
-      console.log(`❌ Failed to finalize release: ${result.error}`);
+      // Without a failed step, --resume found nothing it could continue
+      const { success, error, ...details } = result;
+      cli.fail(result.failedStep ? cli.exitCodes.failure : cli.exitCodes.state, `Failed to finalize release: ${error}`, details);
+      if (result.undone && result.undone.length > 0) {
+        cli.say(`Undone: ${result.undone.join(', ')}`);
+      }
+      if (result.undoError) {
+        cli.say(
+          `❌ Could not undo the finalize: ${result.undoError}`,
+          'Fix the problem and run `gitrelease abort` to finish undoing it'
+        );
+      }
       return;
     }
     
-    console.log(`✅ Release finalized successfully:`);
-    console.log(`Version: ${result.version}`);
-    console.log(`Tag: ${result.tag}`);
-    console.log('\nRelease notes:');
-    console.log(result.notes);
+    cli.say(
+      `✅ Release finalized successfully:`,
+      `Version: ${result.version}`,
+      `Tag: ${result.tag}`,
+      '\nRelease notes:',
+      result.notes
+    );
+    cli.done({ version: result.version, tag: result.tag, notes: result.notes });
+  },
+  
+  // Undo an interrupted finalize
+  abort: () => {
+    const result = releaseOps.abortFinalize();
+    if (!result.success) {
+      return cli.fail(result.undone ? cli.exitCodes.failure : cli.exitCodes.state,
+        `Failed to abort finalize: ${result.error}`, { undone: result.undone || [] });
+    }
+    cli.say(`✅ Finalize of ${result.version} aborted`);
+    if (result.undone.length > 0) {
+      cli.say(`Undone: ${result.undone.join(', ')}`);
+    }
+    cli.done({ version: result.version, undone: result.undone });
+  },
+  
+  // Prepare a release of workspace packages
+  preparePackages: async (args, options) => {
+    const names = options.package || null;
+    const [version] = args;
+    
+    const verification = await verifyOps.verifyRelease();
+    if (!verification.overall) {
+      return cli.fail(cli.exitCodes.verification, 'Release verification failed', { verification }, verification.messages);
+    }
+    
+    const result = monorepoOps.prepare({ names, version });
+    if (!result.success) {
+      return cli.fail(cli.exitCodes.failure, `Failed to prepare release: ${result.error}`);
+    }
+    
+    const config = configOps.load();
+    cli.say(
+      `✅ Release prepared successfully:`,
+      `Branch: ${result.branch}`,
+      'Packages:',
+      ...result.packages.map(entry =>
+        `  ${monorepoOps.toTag(config, entry.name, entry.next)} (${entry.current || 'unreleased'} → ${entry.next}, ${entry.reason})`),
+      '\nNext steps:',
+      '1. Make any final adjustments',
+      '2. Run tests and verification',
+      '3. Finalize the release: gitrelease finalize'
+    );
+    cli.done({
+      branch: result.branch,
+      packages: result.packages.map(entry => ({
+        name: entry.name,
+        current: entry.current || null,
+        next: entry.next,
+        reason: entry.reason,
+        tag: monorepoOps.toTag(config, entry.name, entry.next)
+      }))
+    });
+  },
+  
+  // Tag the workspace packages bumped on the current release branch
+  finalizePackages: async (args, options) => {
+    const verification = await verifyOps.verifyRelease();
+    if (!verification.overall) {
+      return cli.fail(cli.exitCodes.verification, 'Final verification failed', { verification }, verification.messages);
+    }
+    
+    const result = monorepoOps.finalize({ names: options.package || null });
+    if (!result.success) {
+      return cli.fail(cli.exitCodes.failure, `Failed to finalize release: ${result.error}`);
+    }
+    const packages = result.packages.map(({ name, version, tag, notes }) => ({ name, version, tag, notes }));
+    
+    cli.say(`✅ Release finalized successfully:`);
+    packages.forEach(pkg => cli.say(`\nTag: ${pkg.tag}`, pkg.notes));
+    cli.done({ packages });
   },
   
   // Suggest next version
-  nextVersion: () => {
-    const nextVersion = releaseOps.suggestNextVersion();
-    console.log(`Suggested next version: ${nextVersion}`);
+  nextVersion: (args, options) => {
+    const config = configOps.load();
+    if (config.monorepo.enabled) {
+      const plan = monorepoOps.plan(config, { names: options.package || null });
+      if (plan.error) {
+        return cli.fail(cli.exitCodes.state, plan.error);
+      }
+      const packages = plan.entries.map(entry => ({
+        name: entry.name,
+        current: entry.current || null,
+        next: entry.next,
+        reason: entry.reason,
+        commits: entry.commits.length
+      }));
+      if (packages.length === 0) {
+        cli.say('No packages changed since their last release');
+      } else {
+        cli.say('Suggested package versions:', ...packages.map(entry =>
+          `  ${entry.name}: ${entry.current || 'unreleased'} → ${entry.next} (${entry.reason}, ${entry.commits} commits)`));
+      }
+      return cli.done({ packages });
+    }
+    
+    const plan = releaseOps.planNextVersion({ pre: options.pre });
+    if (plan.error) {
+      return cli.fail(plan.usage ? cli.exitCodes.usage : cli.exitCodes.state, plan.error);
+    }
+    cli.say(`Suggested next version: ${plan.version}`);
+    if (plan.line) {
+      cli.say(`Release line: ${plan.line.branch} (${plan.line.versions})`);
+    }
+    cli.done({ version: plan.version, line: plan.line ? plan.line.branch : null });
   },
   
   // List all releases
   list: () => {
-    const tags = gitOps.getAllTags();
+    const releases = rollbackOps.listRollbackPoints();
     
-    if (tags.length === 0) {
-      console.log('No releases found');
-      return;
+    if (releases.length === 0) {
+      cli.say('No releases found');
+    } else {
+      cli.say('Releases:', ...releases.map(release => `${release.tag} - ${release.date} (${release.commit.substring(0, 7)})`));
     }
-    
-    console.log('Releases:');
-    tags.forEach(tag => {
-      const commit = execCommand(`git rev-list -n 1 ${tag}`);
-      const date = execCommand(`git log -1 --format=%cd --date=iso ${commit}`);
-      console.log(`${tag} - ${date} (${commit.substring(0, 7)})`);
-    });
+    cli.done({ releases });
   },
   
   // Show release notes for a specific version
-  notes: args => {
-    if (args.length === 0) {
-      console.log('Usage: gitrelease notes <version>');
-      return;
+  notes: (args, options) => {
+    const [version] = args;
+    if (!version) {
+      return cli.usage('gitrelease notes <version> [--source commits|tag|snapshot] [--format markdown|html|text|json]');
     }
     
     const config = configOps.load();
-    const version = args[0];
     const tagPrefix = config.release.tagPrefix || 'v';
-    const tag = version.startsWith(tagPrefix) ? version : `${tagPrefix}${version}`;
+    const tag = version.startsWith(tagPrefix) ? version : versioning.toTag(config, version);
     
     // Check if tag exists
     const tags = gitOps.getAllTags();
     if (!tags.includes(tag)) {
-      console.log(`❌ Release ${version} not found`);
-      return;
+      return cli.fail(cli.exitCodes.state, `Release ${version} not found`);
+    }
+    
+    // The parser has checked both against their choices
+    const source = options.source || 'commits';
+    const format = options.format || 'markdown';
+    
+    // Recompute from the commit range, or read back what was stored at release time
+    if (source === 'commits') {
+      const notes = releaseOps.generateReleaseNotes(versioning.fromTag(config, tag), format);
+      if (!cli.json) process.stdout.write(notes);
+      return cli.done({ tag, source, format, notes });
+    }
+    
+    const result = releaseOps.storedReleaseNotes(versioning.fromTag(config, tag), source, format);
+    if (!result.success) {
+      return cli.fail(cli.exitCodes.state, result.error);
+    }
+    cli.say(result.notes);
+    cli.done({ tag, source, format, notes: result.notes });
+  },
+  
+  // Maintain CHANGELOG.md
+  changelog: (args, options) => {
+    const config = configOps.load();
+    
+    if (options.regenerate) {
+      const result = changelogOps.regenerate();
+      if (!result.success) {
+        return cli.fail(cli.exitCodes.failure, result.error);
+      }
+      cli.say(`✅ Regenerated ${result.file} from ${result.releases} releases`);
+      return cli.done({ file: result.file, releases: result.releases });
+    }
+    
+    // On a release branch that isn't tagged yet, bring its own entry up to date
+    const [requested] = args;
+    const branch = gitOps.getCurrentBranch() || '';
+    const releasePrefix = config.repository.releasePrefix;
+    const branchVersion = releasePrefix && branch.startsWith(releasePrefix) ? branch.substring(releasePrefix.length) : null;
+    if (branchVersion && (!requested || requested === branchVersion) &&
+        !gitOps.tagExists(versioning.toTag(config, branchVersion))) {
+      const commits = gitOps.getCommitsSinceTag(releaseTags.previous(config, branchVersion));
+      const result = changelogOps.refresh(branchVersion, commits);
+      if (!result.success) {
+        return cli.fail(cli.exitCodes.failure, result.error);
+      }
+      cli.say(result.changed
+        ? `✅ Updated the ${branchVersion} entry in ${result.file}; commit it on ${branch}`
+        : `${result.file} is up to date for ${branchVersion}`);
+      return cli.done({ version: branchVersion, file: result.file, changed: result.changed });
     }
     
-    const notes = releaseOps.generateReleaseNotes(version);
-    console.log(notes);
+    // Default to the latest release
+    const tag = requested
+      ? (requested.startsWith(config.release.tagPrefix || 'v') ? requested : versioning.toTag(config, requested))
+      : releaseTags.latest(config);
+    if (!tag || !gitOps.tagExists(tag)) {
+      return cli.fail(cli.exitCodes.state, requested ? `Release ${requested} not found` : 'No releases found');
+    }
+    
+    const version = versioning.fromTag(config, tag);
+    const previousTag = releaseTags.previous(config, version);
+    const result = changelogOps.prepend(version, gitOps.getCommitsBetween(previousTag, tag), {
+      date: gitOps.getTagDate(tag)
+    });
+    
+    if (!result.success) {
+      return cli.fail(cli.exitCodes.failure, result.error);
+    }
+    cli.say(result.changed
+      ? `✅ Added ${version} to ${result.file}`
+      : `${result.file} already has an entry for ${version}`);
+    cli.done({ version, file: result.file, changed: result.changed });
   },
   
   // Create a branch with naming conventions
   branch: args => {
     if (args.length < 2) {
-      console.log('Usage: gitrelease branch <type> <name>');
-      console.log('Types: feature, hotfix, release');
-      return;
+      return cli.usage('gitrelease branch <type> <name>', 'Types: feature, hotfix, release');
     }
     
     const config = configOps.load();
@@ -976,49 +4138,190 @@ const commands = {
         prefix = config.repository.releasePrefix;
         break;
       default:
-        console.log(`❌ Invalid branch type: ${type}`);
-        return;
+        return cli.fail(cli.exitCodes.usage, `Invalid branch type: ${type}`);
     }
     
     const branchName = `${prefix}${name}`;
-    const success = gitOps.createBranch(branchName);
+    const created = gitOps.createBranch(branchName);
     
-    if (!success) {
-      console.log(`❌ Failed to create branch ${branchName}`);
-      return;
+    if (!created.success) {
+      return cli.fail(cli.exitCodes.failure, gitError(`Failed to create branch ${branchName}`, created));
     }
     
-    console.log(`✅ Created branch ${branchName}`);
+    cli.say(`✅ Created branch ${branchName}`);
+    cli.done({ branch: branchName });
   },
   
   // Verify repository status
-  verify: () => {
-    const verification = verifyOps.verifyRelease();
+  verify: async (args, options) => {
+    if (options.wait !== undefined && !(Number.isFinite(options.wait) && options.wait >= 0)) {
+      cli.fail(cli.exitCodes.usage, `--wait needs a number of seconds, got ${options.wait}`);
+      return;
+    }
+    
+    const verification = await verifyOps.verifyRelease({ wait: options.wait });
     
-    console.log('Verification Results:');
-    console.log(`Clean working directory: ${verification.clean ? '✅' : '❌'}`);
-    console.log(`Tests: ${verification.tests ? '✅' : '❌'}`);
-    console.log(`CI checks: ${verification.ci ? '✅' : '❌'}`);
-    console.log(`Conventional commits: ${verification.commits ? '✅' : '❌'}`);
-    console.log(`\nOverall: ${verification.overall ? '✅ PASS' : '❌ FAIL'}`);
+    cli.say(
+      'Verification Results:',
+      `Clean working directory: ${verification.clean ? '✅' : '❌'}`,
+      `Tests: ${verification.tests ? '✅' : '❌'}`,
+      ...verification.commands.map(command =>
+        `  ${command.name}: ${command.success ? '✅' : '❌'} (${verifyOps.formatDuration(command.duration)})`),
+      `CI checks: ${verification.ci ? '✅' : '❌'}`,
+      ...verification.ciChecks.map(check => {
+        const icons = { success: '✅', failure: '❌', pending: '⏳ pending', missing: '❔ missing' };
+        return `  ${check.name}: ${icons[check.state]}`;
+      }),
+      `Linear history: ${verification.history ? '✅' : '❌'}`,
+      `Conventional commits: ${verification.commits ? '✅' : '❌'}`,
+      `Version files: ${verification.versionFiles ? '✅' : '❌'}`,
+      `Changelog: ${verification.changelog ? '✅' : '❌'}`
+    );
+    const approvalStatus = verification.approvalStatus;
+    cli.say(
+      `Approvals: ${verification.approvals ? '✅' : '❌'}${approvalStatus ? ` (${approvalStatus.approvals.length}/${approvalStatus.required})` : ''}`,
+      `\nOverall: ${verification.overall ? '✅ PASS' : '❌ FAIL'}`
+    );
     
     if (!verification.overall) {
-      console.log('\nIssues:');
-      verification.messages.forEach(msg => console.log(`  - ${msg}`));
+      cli.say('\nIssues:', ...verification.messages.map(msg => `  - ${msg}`));
+      process.exitCode = cli.exitCodes.verification;
+    }
+    cli.result({ success: verification.overall, verification });
+  },
+  
+  // Approve a release on behalf of the git user
+  approve: args => {
+    const config = configOps.load();
+    const branch = gitOps.getCurrentBranch() || '';
+    const prefix = config.repository.releasePrefix;
+    const version = args[0] || (prefix && branch.startsWith(prefix) ? branch.substring(prefix.length) : null);
+    if (!version) {
+      return cli.usage('gitrelease approve <version>');
+    }
+    
+    const result = approvalOps.approve(config, version);
+    if (!result.success) {
+      return cli.fail(cli.exitCodes.failure, result.error);
+    }
+    
+    const { approval, status } = result;
+    cli.say(
+      `✅ ${approval.name || approval.email} approved ${version} at ${approval.commit.substring(0, 7)}`,
+      `Approvals: ${status.approvals.length}/${status.required}`
+    );
+    if (!result.pushed) {
+      cli.say(`Could not push refs/notes/${config.workflow.approvalsRef}; share it with: git push ${gitOps.remote} refs/notes/${config.workflow.approvalsRef}`);
+    }
+    cli.done({ approval, approvals: status.approvals.length, required: status.required, pushed: result.pushed });
+  },
+  
+  // Promote a release to the next workflow stage
+  promote: async args => {
+    const [version, stage] = args;
+    if (!version || !stage) {
+      return cli.usage('gitrelease promote <version> <stage>');
+    }
+    
+    const config = configOps.load();
+    const result = await stageOps.promote(config, version, stage);
+    if (!result.success) {
+      const problems = result.problems || [];
+      return cli.fail(problems.length > 0 ? cli.exitCodes.verification : cli.exitCodes.failure,
+        result.error, { problems }, problems);
     }
+    
+    cli.say(`✅ Promoted ${version} from ${result.record.from} to ${result.record.stage}`);
+    if (!result.pushed) {
+      cli.say(`Could not push refs/notes/${config.workflow.stagesRef}; share it with: git push ${gitOps.remote} refs/notes/${config.workflow.stagesRef}`);
+    }
+    cli.done({ record: result.record, pushed: result.pushed });
+  },
+  
+  // Show the workflow stage and promotion history of a release
+  status: async args => {
+    const [version] = args;
+    if (!version) {
+      return cli.usage('gitrelease status <version>');
+    }
+    
+    const config = configOps.load();
+    const commit = approvalOps.target(config, version);
+    if (!commit) {
+      return cli.fail(cli.exitCodes.state, `No tag or ${config.repository.releasePrefix}${version} branch for ${version}`);
+    }
+    
+    gitOps.fetchNotes(config.workflow.stagesRef);
+    const tag = versioning.toTag(config, version);
+    const tagged = gitOps.tagExists(tag);
+    const stage = stageOps.current(config, commit);
+    const history = stageOps.history(config, commit);
+    
+    cli.say(
+      `Release ${version} (${tagged ? tag : 'not tagged yet'}, commit ${commit.substring(0, 7)})`,
+      `Stage: ${stage}`,
+      `Stages: ${config.workflow.stages.map(name => name === stage ? `[${name}]` : name).join(' → ')}`
+    );
+    
+    if (history.length > 0) {
+      cli.say('\nHistory:', ...history.map(record =>
+        `  ${record.date.replace('T', ' ').slice(0, 16)}  ${record.from} → ${record.stage}  ${record.name} <${record.email}>`));
+    }
+    
+    const next = stageOps.next(config, stage);
+    const problems = next ? await stageOps.unmet(config, version, commit, next) : [];
+    if (next) {
+      cli.say(`\nNext: ${next} ${problems.length === 0 ? '✅ ready' : '❌ blocked'}`, ...problems.map(problem => `  - ${problem}`));
+    }
+    cli.done({ version, tag: tagged ? tag : null, commit, stage, history, next, problems });
+  },
+  
+  // Lint the commits of a range, or one message from stdin
+  lintCommits: (args, options) => {
+    const config = configOps.load();
+    // --format json is the same as --json
+    if (options.format === 'json') cli.json = true;
+    const [range] = args;
+    
+    const unknown = commitLint.unknownRules(config);
+    if (unknown.length > 0) {
+      return cli.fail(cli.exitCodes.usage, `Unknown commit rule(s) in commits.rules: ${unknown.join(', ')}`);
+    }
+    if (range && readGit('rev-parse', range) === null) {
+      return cli.fail(cli.exitCodes.usage, `Invalid range: ${range}`);
+    }
+    
+    const latestTag = releaseTags.latest(config);
+    const stdinMessage = options.stdin ? hooksOps.cleanMessage(fs.readStdin()) : null;
+    const commits = stdinMessage !== null
+      ? [{ hash: 'stdin', subject: stdinMessage.split('\n')[0], message: stdinMessage }]
+      : range
+        ? gitOps.getCommits([range])
+        : gitOps.getCommitsSinceTag(latestTag);
+    const lint = commitLint.lintCommits(config, commits);
+    const linted = stdinMessage !== null ? 'stdin' : range || (latestTag ? `${latestTag}..HEAD` : 'HEAD');
+    
+    lint.results.filter(result => result.problems.length > 0).forEach(result => {
+      cli.say(
+        `${result.hash} ${result.subject}`,
+        ...result.problems.map(problem => `  ${problem.severity === 'error' ? '❌' : '⚠️ '} ${problem.message} (${problem.rule})`)
+      );
+    });
+    
+    const summary = `${lint.errors} errors, ${lint.warnings} warnings in ${lint.results.length} commits`;
+    if (lint.errors > 0) {
+      return cli.fail(cli.exitCodes.verification, summary, { range: linted, ...lint });
+    }
+    cli.say(`✅ ${summary}`);
+    cli.done({ range: linted, ...lint });
   },
   
   // Perform a rollback
   rollback: args => {
     if (args.length === 0) {
-      console.log('Usage: gitrelease rollback <tag>');
-      console.log('Available rollback points:');
-      
       const points = rollbackOps.listRollbackPoints();
-      points.forEach(point => {
-        console.log(`${point.tag} - ${point.date} (${point.commit.substring(0, 7)})`);
-      });
-      
+      cli.usage('gitrelease rollback <tag>', 'Available rollback points:',
+        ...points.map(point => `${point.tag} - ${point.date} (${point.commit.substring(0, 7)})`));
       return;
     }
     
@@ -1026,29 +4329,25 @@ const commands = {
     const result = rollbackOps.rollback(tag);
     
     if (!result.success) {
-      console.log(`❌ Rollback failed: ${result.error}`);
-      return;
+      return cli.fail(gitOps.tagExists(tag) ? cli.exitCodes.failure : cli.exitCodes.state, `Rollback failed: ${result.error}`);
     }
     
-    console.log(`✅ Rolled back to ${result.tag}`);
-    console.log(`Created branch: ${result.branch}`);
-    console.log('\nNext steps:');
-    console.log('1. Verify the rollback is correct');
-    console.log('2. Push the rollback branch: git push origin ' + result.branch);
-    console.log('3. Create a pull request to merge the rollback');
+    cli.say(
+      `✅ Rolled back to ${result.tag}`,
+      `Created branch: ${result.branch}`,
+      '\nNext steps:',
+      '1. Verify the rollback is correct',
+      `2. Push the rollback branch: git push ${gitOps.remote} ${result.branch}`,
+      '3. Create a pull request to merge the rollback'
+    );
+    cli.done({ tag: result.tag, branch: result.branch });
   },
   
   // Create a hotfix
   hotfix: args => {
     if (args.length === 0) {
-      console.log('Usage: gitrelease hotfix <tag>');
-      console.log('Available tags:');
-      
-      const tags = gitOps.getAllTags();
-      tags.forEach(tag => {
-        console.log(tag);
-      });
-      
+      const tags = releaseTags.list(configOps.load());
+      cli.usage('gitrelease hotfix <tag>', 'Available tags:', ...tags);
       return;
     }
     
@@ -1056,77 +4355,402 @@ const commands = {
     const result = rollbackOps.createHotfix(tag);
     
     if (!result.success) {
-      console.log(`❌ Hotfix creation failed: ${result.error}`);
+      return cli.fail(gitOps.tagExists(tag) ? cli.exitCodes.failure : cli.exitCodes.state, `Hotfix creation failed: ${result.error}`);
+    }
+    
+    cli.say(
+      `✅ Created hotfix branch: ${result.branch}`,
+      `Based on tag: ${result.baseTag}`,
+      `New version will be: ${result.version}`,
+      '\nNext steps:',
+      '1. Make your hotfix changes',
+      '2. Run tests and verification',
+      '3. Finalize the hotfix: gitrelease finalize'
+    );
+    cli.done({ branch: result.branch, baseTag: result.baseTag, version: result.version });
+  },
+  
+  // Install, remove or run the git hooks
+  hooks: args => {
+    const [action, ...rest] = args;
+    
+    if (action === 'install') {
+      const result = hooksOps.install();
+      if (!result.success) {
+        return cli.fail(cli.exitCodes.failure, result.error);
+      }
+      cli.say(`✅ Installed ${hooksOps.names.join(' and ')} hooks in ${result.dir}`);
+      result.hooks.filter(hook => hook.chained).forEach(hook => {
+        cli.say(`Existing ${hook.name} hook runs first: ${hook.chained}`);
+      });
+      return cli.done({ dir: result.dir, hooks: result.hooks });
+    }
+    
+    if (action === 'uninstall') {
+      const result = hooksOps.uninstall();
+      if (!result.success) {
+        return cli.fail(cli.exitCodes.failure, result.error);
+      }
+      result.hooks.forEach(hook => {
+        if (hook.restored) cli.say(`✅ Removed ${hook.name} hook and restored the previous one`);
+        else if (hook.removed) cli.say(`✅ Removed ${hook.name} hook`);
+        else cli.say(`No gitrelease ${hook.name} hook in ${result.dir}`);
+      });
+      return cli.done({ dir: result.dir, hooks: result.hooks });
+    }
+    
+    if (action === 'run') {
+      commands.runHook(rest);
+      return;
+    }
+    
+    cli.usage('gitrelease hooks install|uninstall');
+  },
+
+  // Hook entry point called by the installed scripts
+  runHook: ([name, ...hookArgs]) => {
+    const config = configOps.load();
+    
+    if (name === 'commit-msg') {
+      const result = hooksOps.checkMessage(config, hookArgs[0]);
+      if (result.error) {
+        console.log(`❌ ${result.error}`);
+        process.exitCode = 1;
+        return;
+      }
+      if (result.problems.length === 0) return;
+      
+      console.log(result.success
+        ? '⚠️  Commit message warnings:'
+        : '❌ Commit message breaks the commit rules:');
+      console.log(`  ${result.header}`);
+      result.problems.forEach(problem => {
+        console.log(`  ${problem.severity}: ${problem.message} (${problem.rule})`);
+      });
+      if (result.success) return;
+      
+      console.log(`\nYour message is saved in ${hookArgs[0]}. Edit it with: git commit -e -F ${hookArgs[0]}`);
+      process.exitCode = 1;
+      return;
+    }
+    
+    if (name === 'pre-push') {
+      const result = hooksOps.checkPush(config, hookArgs[0], fs.readStdin());
+      if (result.success) return;
+      
+      console.log(`❌ ${result.failures.length} commits break the commit rules:`);
+      result.failures.forEach(failure => {
+        console.log(`  - ${failure.hash}: ${failure.subject}`);
+        failure.problems
+          .filter(problem => problem.severity === 'error')
+          .forEach(problem => console.log(`    ${problem.message} (${problem.rule})`));
+      });
+      console.log('\nReword them with git rebase -i, or push with --no-verify to skip this check.');
+      process.exitCode = 1;
       return;
     }
     
-    console.log(`✅ Created hotfix branch: ${result.branch}`);
-    console.log(`Based on tag: ${result.baseTag}`);
-    console.log(`New version will be: ${result.version}`);
-    console.log('\nNext steps:');
-    console.log('1. Make your hotfix changes');
-    console.log('2. Run tests and verification');
-    console.log('3. Finalize the hotfix: gitrelease finalize');
+    console.log(`❌ Unknown hook: ${name}`);
+    process.exitCode = 1;
   },
   
-  // Show help
-  help: () => {
+  // Show help, for all commands or one
+  help: args => {
+    const [name] = args;
+    if (name) {
+      const spec = cliSpec.commands[name];
+      if (!spec) {
+        return cli.fail(cli.exitCodes.usage, cliArgs.unknown(name, Object.keys(cliSpec.commands), 'command'));
+      }
+      console.log(cliSpec.commandHelp(name));
+      return;
+    }
+    
     console.log('GitRelease CLI - Functional Release Management');
-    console.log('\nUsage: gitrelease [command] [options]');
+    console.log('\nUsage: gitrelease <command> [options]');
     console.log('\nCommands:');
-    console.log('  init                    Initialize repository configuration');
-    console.log('  config <path> <value>   Set configuration value');
-    console.log('  show-config             Display current configuration');
-    console.log('  prepare [version]       Prepare a new release');
-    console.log('  finalize                Finalize the current release');
-    console.log('  next-version            Suggest next version based on commits');
-    console.log('  list                    List all releases');
-    console.log('  notes <version>         Show release notes for a version');
-    console.log('  branch <type> <name>    Create a branch with naming conventions');
-    console.log('  verify                  Verify repository status for release');
-    console.log('  rollback [tag]          Rollback to a previous release');
-    console.log('  hotfix <tag>            Create a hotfix for a previous release');
-    console.log('  help                    Show this help message');
+    Object.keys(cliSpec.commands).forEach(command => {
+      const { usage, summary } = cliSpec.commands[command];
+      console.log(cliSpec.row(`${command}${usage ? ` ${usage}` : ''}`, summary));
+    });
+    console.log('\nGlobal options:');
+    cliSpec.globalOptions.forEach(option => console.log(cliSpec.row(cliSpec.optionLabel(option), option.description)));
+    console.log('\nExit codes:');
+    Object.keys(cli.exitCodes).forEach(key => console.log(`  ${cli.exitCodes[key]}  ${cliSpec.exitCodes[key]}`));
     console.log('\nExamples:');
     console.log('  gitrelease init');
     console.log('  gitrelease config versioning.pattern calver');
     console.log('  gitrelease prepare 1.2.0');
-    console.log('  gitrelease finalize');
+    console.log('  gitrelease prepare --pre rc');
+    console.log('  gitrelease finalize --dry-run');
     console.log('  gitrelease branch feature user-authentication');
+    console.log('\nRun `gitrelease help <command>` for the options of a command.');
+  },
+  
+  // Print a shell completion script
+  completion: args => {
+    const [shell] = args;
+    if (!cliSpec.completion[shell]) {
+      return cli.usage('gitrelease completion bash|zsh');
+    }
+    process.stdout.write(cliSpec.completion[shell]());
   }
 };
 
 // ========== CLI Entry Point ==========
 
+// Commands, their arguments and options; drives parsing, help and completion
+const cliSpec = {
+  globalOptions: [
+    { name: 'dry-run', short: 'n', type: 'boolean', description: 'Print git commands, file writes and pushes instead of running them' },
+    { name: 'json', type: 'boolean', description: 'Print the result of the command as one JSON object' },
+    { name: 'verbose', short: 'v', type: 'boolean', description: 'Print debug output on stderr' },
+    { name: 'config', type: 'string', value: '<file>', complete: 'files', description: 'Read the configuration from <file> instead of .gitrelease.json' },
+    { name: 'remote', type: 'string', value: '<name>', complete: 'remotes', description: 'Remote to fetch from and push to (default origin)' },
+    { name: 'help', short: 'h', type: 'boolean', description: 'Show help for the command' }
+  ],
+  
+  exitCodes: {
+    success: 'Success',
+    failure: 'A git command, push or file write failed',
+    usage: 'Unknown command, missing or invalid arguments',
+    verification: 'Verification, commit rules or stage requirements not met',
+    state: 'Wrong branch, unknown release, nothing to release or a finalize in progress'
+  },
+  
+  commands: {
+    init: { run: commands.init, summary: 'Initialize repository configuration' },
+    config: { run: commands.config, usage: '<path> <value>', summary: 'Set configuration value',
+      examples: ['gitrelease config versioning.pattern calver', 'gitrelease config versioning.calverFormat YY.0M.0D'] },
+    'show-config': { run: commands.showConfig, summary: 'Display current configuration' },
+    prepare: {
+      run: commands.prepare,
+      usage: '[version]',
+      summary: 'Prepare a new release',
+      options: [
+        { name: 'pre', short: 'p', type: 'string', value: '<channel>', description: 'Prerelease channel from versioning.prereleaseChannels, or stable to promote a prerelease' },
+        { name: 'package', type: 'list', value: '<name,...>', description: 'Packages to release in monorepo mode (repeatable)' }
+      ],
+      examples: ['gitrelease prepare 1.2.0', 'gitrelease prepare --pre rc', 'gitrelease prepare --package @org/api']
+    },
+    finalize: {
+      run: commands.finalize,
+      summary: 'Finalize the current release',
+      options: [
+        { name: 'resume', type: 'boolean', description: 'Continue an interrupted finalize' },
+        { name: 'package', type: 'list', value: '<name,...>', description: 'Packages to tag in monorepo mode (repeatable)' }
+      ],
+      examples: ['gitrelease finalize', 'gitrelease finalize --dry-run', 'gitrelease finalize --resume']
+    },
+    abort: { run: commands.abort, summary: 'Undo an interrupted finalize' },
+    'next-version': {
+      run: commands.nextVersion,
+      summary: 'Suggest next version based on commits',
+      options: [
+        { name: 'pre', short: 'p', type: 'string', value: '<channel>', description: 'Prerelease channel from versioning.prereleaseChannels, or stable to promote a prerelease' },
+        { name: 'package', type: 'list', value: '<name,...>', description: 'Packages to plan in monorepo mode (repeatable)' }
+      ]
+    },
+    list: { run: commands.list, summary: 'List all releases' },
+    notes: {
+      run: commands.notes,
+      usage: '<version>',
+      complete: 'tags',
+      summary: 'Show release notes for a version',
+      options: [
+        { name: 'source', type: 'string', value: '<source>', choices: ['commits', 'tag', 'snapshot'], description: 'Rebuild from commits, or read the tag message or release snapshot' },
+        { name: 'format', short: 'f', type: 'string', value: '<format>', choices: Object.keys(notesOps.formats), description: 'Output format' }
+      ],
+      examples: ['gitrelease notes 1.2.0 --format html']
+    },
+    changelog: {
+      run: commands.changelog,
+      usage: '[version]',
+      complete: 'tags',
+      summary: 'Add a release to CHANGELOG.md',
+      options: [{ name: 'regenerate', type: 'boolean', description: 'Rebuild the whole changelog from the tags' }]
+    },
+    branch: { run: commands.branch, usage: '<type> <name>', complete: ['feature', 'hotfix', 'release'], summary: 'Create a branch with naming conventions',
+      examples: ['gitrelease branch feature user-authentication'] },
+    verify: {
+      run: commands.verify,
+      summary: 'Verify repository status for release',
+      options: [{ name: 'wait', short: 'w', type: 'number', value: '<seconds>', description: 'Poll pending CI checks for up to <seconds>' }]
+    },
+    'lint-commits': {
+      run: commands.lintCommits,
+      usage: '[range]',
+      summary: 'Check commit messages against the commit rules',
+      options: [
+        { name: 'stdin', type: 'boolean', description: 'Check one message read from stdin' },
+        { name: 'format', short: 'f', type: 'string', value: '<format>', choices: ['text', 'json'], description: 'Output format' }
+      ],
+      examples: ['gitrelease lint-commits main..HEAD', 'echo "feat: add search" | gitrelease lint-commits --stdin']
+    },
+    approve: { run: commands.approve, usage: '[version]', summary: 'Sign off on the commit a release will tag' },
+    promote: { run: commands.promote, usage: '<version> <stage>', complete: 'tags', summary: 'Move a release to the next workflow stage' },
+    status: { run: commands.status, usage: '<version>', complete: 'tags', summary: 'Show the workflow stage and history of a release' },
+    rollback: { run: commands.rollback, usage: '[tag]', complete: 'tags', summary: 'Rollback to a previous release' },
+    hotfix: { run: commands.hotfix, usage: '<tag>', complete: 'tags', summary: 'Create a hotfix for a previous release' },
+    hooks: { run: commands.hooks, usage: 'install|uninstall', complete: ['install', 'uninstall'], summary: 'Add or remove commit-msg and pre-push hooks that check commits' },
+    completion: { run: commands.completion, usage: 'bash|zsh', complete: ['bash', 'zsh'], summary: 'Print a shell completion script',
+      examples: ['source <(gitrelease completion bash)'] },
+    help: { run: commands.help, usage: '[command]', complete: 'commands', summary: 'Show help for all commands or one' }
+  },
+  
+  // Options a command accepts, its own first
+  options: name => ((cliSpec.commands[name] || {}).options || []).concat(cliSpec.globalOptions),
+  
+  // `-x, --name <value>` label of an option
+  optionLabel: option =>
+    `${option.short ? `-${option.short}, ` : ''}--${option.name}${option.value ? ` ${option.value}` : ''}`,
+  
+  // Help line with the description in the second column
+  row: (label, description) =>
+    label.length < 24 ? `  ${label.padEnd(24)}${description}` : `  ${label}\n  ${''.padEnd(24)}${description}`,
+  
+  // Help text of one command
+  commandHelp: name => {
+    const spec = cliSpec.commands[name];
+    const describe = option =>
+      cliSpec.row(cliSpec.optionLabel(option), `${option.description}${option.choices ? ` (${option.choices.join(', ')})` : ''}`);
+    return [
+      `Usage: gitrelease ${name}${spec.usage ? ` ${spec.usage}` : ''} [options]`,
+      '',
+      spec.summary,
+      ...(spec.options ? ['', 'Options:', ...spec.options.map(describe)] : []),
+      '',
+      'Global options:',
+      ...cliSpec.globalOptions.map(describe),
+      ...(spec.examples ? ['', 'Examples:', ...spec.examples.map(example => `  ${example}`)] : [])
+    ].join('\n');
+  },
+  
+  // Command word of an argument list: the first argument that is not an option or its value
+  findCommand: argv => {
+    const specs = Object.keys(cliSpec.commands).reduce((all, name) => all.concat(cliSpec.commands[name].options || []), cliSpec.globalOptions.slice());
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg === '--') return -1;
+      if (!arg.startsWith('-') || arg === '-') return i;
+      // Like parse, a short value option takes the rest of its group or the next argument
+      const shorts = arg.startsWith('--') ? [] : arg.substring(1).split('').map(short => specs.find(candidate => candidate.short === short));
+      const valued = shorts.findIndex(option => !option || option.type !== 'boolean');
+      const option = arg.startsWith('--')
+        ? specs.find(candidate => `--${candidate.name}` === arg)
+        : valued === shorts.length - 1 ? shorts[valued] : null;
+      if (option && option.type !== 'boolean') i++;
+    }
+    return -1;
+  },
+  
+  completion: {
+    // Bash completion generated from the command specs
+    bash: () => {
+      const names = Object.keys(cliSpec.commands);
+      const flags = options => options.map(option => `--${option.name}`).join(' ');
+      const globalValues = cliSpec.globalOptions.filter(option => option.type !== 'boolean').map(option => `--${option.name}`);
+      const reply = option =>
+        option.choices ? `COMPREPLY=($(compgen -W "${option.choices.join(' ')}" -- "$cur"))`
+          : option.complete === 'files' ? 'COMPREPLY=($(compgen -f -- "$cur"))'
+            : option.complete === 'remotes' ? 'COMPREPLY=($(compgen -W "$(git remote 2>/dev/null)" -- "$cur"))'
+              : 'COMPREPLY=()';
+      const valueCase = (pattern, option) => `    ${pattern}:--${option.name}) ${reply(option)}; return ;;`;
+      const valueCases = names
+        .flatMap(name => (cliSpec.commands[name].options || [])
+          .filter(option => option.type !== 'boolean')
+          .map(option => valueCase(`"${name}"`, option)))
+        .concat(cliSpec.globalOptions.filter(option => option.type !== 'boolean').map(option => valueCase('*', option)));
+      const argumentCases = names.filter(name => cliSpec.commands[name].complete).map(name => {
+        const complete = cliSpec.commands[name].complete;
+        const words = complete === 'tags' ? '$(git tag 2>/dev/null)' : complete === 'commands' ? names.join(' ') : complete.join(' ');
+        return `    ${name}) COMPREPLY=($(compgen -W "${words}" -- "$cur")) ;;`;
+      });
+      return [
+        '# bash completion for gitrelease',
+        '_gitrelease() {',
+        '  local cur="${COMP_WORDS[COMP_CWORD]}" prev="${COMP_WORDS[COMP_CWORD-1]}"',
+        `  local global="${flags(cliSpec.globalOptions)}"`,
+        '  local command="" i',
+        '  for ((i = 1; i < COMP_CWORD; i++)); do',
+        '    case "${COMP_WORDS[i]}" in',
+        `      ${globalValues.join('|')}) ((i++)) ;;`,
+        '      -*) ;;',
+        '      *) command="${COMP_WORDS[i]}"; break ;;',
+        '    esac',
+        '  done',
+        '  case "$command:$prev" in',
+        ...valueCases,
+        '  esac',
+        '  if [[ -z "$command" ]]; then',
+        `    COMPREPLY=($(compgen -W "${names.join(' ')} $global" -- "$cur"))`,
+        '    return',
+        '  fi',
+        '  if [[ "$cur" == -* ]]; then',
+        '    case "$command" in',
+        ...names.filter(name => cliSpec.commands[name].options).map(name =>
+          `      ${name}) COMPREPLY=($(compgen -W "${flags(cliSpec.commands[name].options)} $global" -- "$cur")) ;;`),
+        '      *) COMPREPLY=($(compgen -W "$global" -- "$cur")) ;;',
+        '    esac',
+        '    return',
+        '  fi',
+        '  case "$command" in',
+        ...argumentCases,
+        '  esac',
+        '}',
+        'complete -F _gitrelease gitrelease',
+        ''
+      ].join('\n');
+    },
+    
+    // zsh runs the bash completion through bashcompinit
+    zsh: () => [
+      '# zsh completion for gitrelease',
+      'autoload -U +X compinit && compinit',
+      'autoload -U +X bashcompinit && bashcompinit',
+      cliSpec.completion.bash()
+    ].join('\n')
+  }
+};
+
 const main = () => {
-  const args = process.argv.slice(2);
-  const command = args[0] || 'help';
-  const commandArgs = args.slice(1);
-  
-  // Map commands to functions
-  const commandMap = {
-    init: commands.init,
-    config: commands.config,
-    'show-config': commands.showConfig,
-    prepare: commands.prepare,
-    finalize: commands.finalize,
-    'next-version': commands.nextVersion,
-    list: commands.list,
-    notes: commands.notes,
-    branch: commands.branch,
-    verify: commands.verify,
-    rollback: commands.rollback,
-    hotfix: commands.hotfix,
-    help: commands.help
-  };
+  const argv = process.argv.slice(2);
+  const index = cliSpec.findCommand(argv);
+  const command = index === -1 ? 'help' : argv[index];
+  const spec = cliSpec.commands[command];
+  const rest = index === -1 ? argv : argv.slice(0, index).concat(argv.slice(index + 1));
+  const { positional, options, errors } = cliArgs.parse(rest, cliSpec.options(spec ? command : null));
+  
+  // Global options apply to every command, wherever they appear
+  dryRun.enabled = Boolean(options['dry-run']);
+  cli.json = Boolean(options.json);
+  cli.verbose = Boolean(options.verbose);
+  if (options.config) configOps.configPath = options.config;
+  if (options.remote) gitOps.remote = options.remote;
+  
+  if (!spec) {
+    cli.fail(cli.exitCodes.usage, cliArgs.unknown(command, Object.keys(cliSpec.commands), 'command'));
+    cli.say('Run `gitrelease help` for the list of commands.');
+    return;
+  }
+  if (options.help && command !== 'help') {
+    console.log(cliSpec.commandHelp(command));
+    return;
+  }
+  if (errors.length > 0) {
+    cli.fail(cli.exitCodes.usage, errors.join('; '));
+    cli.say(`Run \`gitrelease help ${command}\` for its options.`);
+    return;
+  }
   
-  // Execute command if exists
-  if (commandMap[command]) {
-    commandMap[command](commandArgs);
-  } else {
-    console.log(`Unknown command: ${command}`);
-    commands.help();
+  if (dryRun.enabled) {
+    cli.progress('Dry run: git commands, file changes and pushes are printed, not performed\n');
   }
+  
+  // Commands may be async; a rejection is a failure, not an unhandled promise
+  Promise.resolve()
+    .then(() => spec.run(positional, options))
+    .catch(error => cli.fail(cli.exitCodes.failure, error.message));
 };
 
 // Run the CLI